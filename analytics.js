@@ -0,0 +1,212 @@
+/*
+ * Learning analytics.  Scenes emit small structured events through a
+ * bus, which hands each one to every sink attached to it.  Events are
+ * plain objects:
+ *
+ *   { "type": "choice_selected", "time": "2026-10-19T09:41:07.512Z",
+ *     "session": "k3x9…", "learner": "E1234", "scene": "scene2",
+ *     "question": "password-sticky-note", "chosen": "…",
+ *     "correctAnswer": "…", "correct": false, "timeToAnswer": 5230 }
+ *
+ * The deck emits `scene_enter`, `card_flip`, `choice_selected` (with
+ * the time to answer in milliseconds where a scene measures it),
+ * `retry_clicked` and `quiz_complete`.  Every event carries the time,
+ * an id for the page session and the learner id when one was given.
+ *
+ * Three sinks are provided:
+ *
+ *   - The buffer keeps the latest events in localStorage so a trainer
+ *     can export them from a shared device as CSV or JSON.  It is
+ *     always attached.
+ *   - The console sink logs every event (`?analytics=console`).
+ *   - The beacon sink POSTs every event as JSON with
+ *     `navigator.sendBeacon` to the URL given by `?beacon=<url>`.  The
+ *     body is sent as text/plain so a cross‑origin collector needs no
+ *     CORS preflight; any endpoint that accepts a POST will do, so a
+ *     local stub server printing request bodies is enough to check it.
+ *
+ * `?analytics=export` also shows a small panel for exporting or
+ * clearing the buffer.  A sink that fails is reported on the console
+ * and never stops the others or the deck.
+ */
+const Analytics = (() => {
+  const BUFFER_KEY = 'securityDeck.events';
+  const BUFFER_LIMIT = 500;
+
+  // Resolve localStorage lazily, as in progress.js.
+  const defaultStorage = () => {
+    try {
+      return window.localStorage;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const sessionId = () => (
+    window.crypto && typeof window.crypto.randomUUID === 'function'
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+  );
+
+  // Create a bus.  `context` is merged into every event and `sinks`
+  // are objects with a `send(event)` method.
+  const create = ({ context = {}, sinks = [], now = () => new Date() } = {}) => {
+    const attached = [...sinks];
+    const fields = { ...context };
+
+    const emit = (type, data = {}) => {
+      const event = { type, time: now().toISOString(), ...fields, ...data };
+      attached.forEach((sink) => {
+        try {
+          sink.send(event);
+        } catch (err) {
+          console.warn(`An analytics sink failed on "${type}".`, err);
+        }
+      });
+      return event;
+    };
+
+    const addSink = (sink) => {
+      attached.push(sink);
+    };
+
+    // Change the fields merged into later events, such as the session
+    // and learner when a kiosk starts over.  A null value removes the
+    // field.
+    const setContext = (values) => {
+      Object.entries(values).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+          delete fields[key];
+        } else {
+          fields[key] = value;
+        }
+      });
+    };
+
+    return { emit, addSink, setContext };
+  };
+
+  // Log every event to the console.
+  const createConsoleSink = (logger = console) => ({
+    send: (event) => logger.info(`[analytics] ${event.type}`, event)
+  });
+
+  // Quote a value for CSV.  Objects and arrays are written as JSON.
+  const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  // Turn events into CSV with one column per field, in the order the
+  // fields first appear.
+  const toCsv = (events) => {
+    const columns = [];
+    events.forEach((event) => {
+      Object.keys(event).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+    const rows = events.map((event) => columns.map((key) => csvCell(event[key])).join(','));
+    return `${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+  };
+
+  // Keep the latest `limit` events in storage.  Storage problems are
+  // handled as in progress.js: the buffer then only lives in memory.
+  const createBufferSink = ({ storage = defaultStorage(), key = BUFFER_KEY, limit = BUFFER_LIMIT } = {}) => {
+    const read = () => {
+      if (!storage) return [];
+      try {
+        const saved = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(saved) ? saved : [];
+      } catch (err) {
+        console.warn(`Ignoring unreadable saved data in "${key}".`, err);
+        return [];
+      }
+    };
+
+    const write = () => {
+      if (!storage) return;
+      try {
+        storage.setItem(key, JSON.stringify(buffered));
+      } catch (err) {
+        console.warn(`Could not save "${key}".`, err);
+      }
+    };
+
+    let buffered = read();
+
+    return {
+      send: (event) => {
+        buffered.push(event);
+        if (buffered.length > limit) {
+          buffered = buffered.slice(buffered.length - limit);
+        }
+        write();
+      },
+      events: () => [...buffered],
+      clear: () => {
+        buffered = [];
+        if (!storage) return;
+        try {
+          storage.removeItem(key);
+        } catch (err) {
+          console.warn(`Could not clear "${key}".`, err);
+        }
+      },
+      toJson: () => `${JSON.stringify(buffered, null, 2)}\n`,
+      toCsv: () => toCsv(buffered)
+    };
+  };
+
+  // POST every event to `url` with `nav.sendBeacon`, falling back to
+  // a keep‑alive request through `send(url, init)` (fetch by default)
+  // when the browser has no beacon or refuses to queue one.
+  const createBeaconSink = (url, {
+    nav = window.navigator,
+    send = (target, init) => fetch(target, init)
+  } = {}) => ({
+    send: (event) => {
+      const body = JSON.stringify(event);
+      if (typeof nav.sendBeacon === 'function' && nav.sendBeacon(url, body)) return;
+      Promise.resolve()
+        .then(() => send(url, { method: 'POST', body, keepalive: true, mode: 'no-cors' }))
+        .catch((err) => console.warn('Could not send an analytics event.', err));
+    }
+  });
+
+  // Build the bus for the current page from the URL: the buffer is
+  // always attached, the console and beacon sinks on request.
+  // Returns the bus, the buffer sink and whether the export panel was
+  // asked for.
+  const connect = ({ search = window.location.search, storage = defaultStorage(), context = {} } = {}) => {
+    const params = new URLSearchParams(search);
+    const options = (params.get('analytics') || '').split(',').map((value) => value.trim());
+    const buffer = createBufferSink({ storage });
+    const sinks = [buffer];
+    if (options.includes('console')) {
+      sinks.push(createConsoleSink());
+    }
+    const beaconUrl = params.get('beacon');
+    if (beaconUrl) {
+      sinks.push(createBeaconSink(beaconUrl));
+    }
+    const bus = create({ context: { session: sessionId(), ...context }, sinks });
+    return { ...bus, buffer, showExport: options.includes('export') };
+  };
+
+  return {
+    BUFFER_KEY,
+    sessionId,
+    create,
+    connect,
+    toCsv,
+    createConsoleSink,
+    createBufferSink,
+    createBeaconSink
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Analytics;
+}
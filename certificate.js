@@ -0,0 +1,209 @@
+/*
+ * Certificate of completion for learners who pass the quiz.  The
+ * certificate is drawn as an A4 landscape SVG in the browser: the
+ * Kitopi logo, the learner's name as they type it, the module title,
+ * their score and the date.  Nothing is sent anywhere.
+ *
+ * The dialog shows a live preview while the name is entered and
+ * offers two ways to keep the result: printing, which prints only the
+ * certificate (see the print rules in style.css), and downloading a
+ * PNG rendered from the same SVG through a canvas.  The logo is
+ * embedded in the SVG as a data URL, since an SVG drawn as an image
+ * may not load anything else.
+ *
+ * The logo and font are Kitopi's unless a theme gives others (see
+ * theme.js).  The colours are the page's own `--color-*` tokens, so a
+ * theme that recolours the deck recolours the certificate too.
+ */
+const Certificate = (() => {
+  const LOGO_PATH = 'Kitopi-small-icon-01.svg';
+  const WIDTH = 1123;
+  const HEIGHT = 794;
+  // The colour tokens of style.css the certificate is drawn in.
+  const COLOURS = ['primary', 'secondary', 'accent', 'light', 'dark'];
+  const FONT = 'Segoe UI, Tahoma, Noto Sans Arabic, Arial, sans-serif';
+
+  const escapeXml = (value) => String(value).replace(/[<>&"']/g, (char) => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+
+  // Fetch a logo once and keep it as a data URL.  Resolves with null
+  // when it cannot be loaded; the certificate is then drawn without it.
+  const logoRequests = new Map();
+  const loadLogo = (path = LOGO_PATH) => {
+    if (!logoRequests.has(path)) {
+      logoRequests.set(path, fetch(path)
+        .then((response) => (response.ok ? response.blob() : null))
+        .then((blob) => (blob ? new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => resolve(null);
+          reader.readAsDataURL(blob);
+        }) : null))
+        .catch(() => null));
+    }
+    return logoRequests.get(path);
+  };
+
+  // The certificate's colours as the page has them now, with any theme
+  // applied on top.  An SVG drawn as an image cannot see the page's
+  // custom properties, so their values are written into it.
+  const pageColours = (doc = document) => {
+    const style = doc.defaultView.getComputedStyle(doc.documentElement);
+    return Object.fromEntries(COLOURS.map((token) => [token, style.getPropertyValue(`--color-${token}`).trim()]));
+  };
+
+  // Draw the certificate as an SVG string.  `date` is a Date, `logo`
+  // a data URL or null, `colours` maps the tokens in COLOURS to their
+  // values and `font` is the theme's.
+  const render = ({ name, title, score, max, date, logo = null, colours = pageColours(), font = FONT }) => {
+    const palette = Object.fromEntries(COLOURS.map((token) => [token, escapeXml(colours[token] || '')]));
+    const dir = I18n.isRtl() ? 'rtl' : 'ltr';
+    const percent = max > 0 ? Math.round((score / max) * 100) : 0;
+    const text = (y, size, content, { weight = 400, colour = palette.dark } = {}) => (
+      `<text x="${WIDTH / 2}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${colour}" ` +
+      `text-anchor="middle" direction="${dir}">${escapeXml(content)}</text>`
+    );
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" ` +
+        `font-family="${escapeXml(font)}">`,
+      `<rect width="${WIDTH}" height="${HEIGHT}" fill="${palette.light}" />`,
+      `<rect x="24" y="24" width="${WIDTH - 48}" height="${HEIGHT - 48}" rx="24" fill="none" stroke="${palette.primary}" stroke-width="6" />`,
+      `<rect x="40" y="40" width="${WIDTH - 80}" height="${HEIGHT - 80}" rx="16" fill="none" stroke="${palette.secondary}" stroke-width="2" />`,
+      `<rect x="${WIDTH / 2 - 48}" y="72" width="96" height="96" rx="24" fill="${palette.primary}" />`,
+      logo ? `<image href="${escapeXml(logo)}" x="${WIDTH / 2 - 40}" y="80" width="80" height="80" />` : '',
+      text(250, 48, I18n.t('certificate.heading'), { weight: 700, colour: palette.primary }),
+      text(320, 24, I18n.t('certificate.presentedTo')),
+      text(400, 52, name, { weight: 600 }),
+      `<line x1="${WIDTH / 2 - 260}" y1="424" x2="${WIDTH / 2 + 260}" y2="424" stroke="${palette.accent}" stroke-width="3" />`,
+      text(490, 24, I18n.t('certificate.completed')),
+      text(540, 32, title, { weight: 600, colour: palette.primary }),
+      text(610, 24, I18n.t('certificate.score', { score, max, percent })),
+      text(700, 20, date.toLocaleDateString(I18n.lang, { year: 'numeric', month: 'long', day: 'numeric' }), { colour: '#4A5A5C' }),
+      '</svg>'
+    ].join('');
+  };
+
+  // Render an SVG string to a PNG blob at `scale` times its size.
+  const toPng = (svg, scale = 2) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = WIDTH * scale;
+      canvas.height = HEIGHT * scale;
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The certificate could not be drawn.'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('The certificate could not be drawn.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+
+  // File name for the download, e.g. `certificate-sara-ali.png`.
+  const fileName = (name) => {
+    const slug = name.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    return slug ? `certificate-${slug}.png` : 'certificate.png';
+  };
+
+  const download = (blob, name) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
+
+  // Wire the certificate dialog in `root`.  `sheet` is the element
+  // printed in place of the page.  Returns `{ open(details, opener),
+  // close() }` where `details` holds the title, score, max and date;
+  // focus goes back to `opener` when the dialog is closed.  A theme may
+  // replace the `logo` path and `font`.
+  const createDialog = ({ root, sheet, logo: logoPath = LOGO_PATH, font = FONT }) => {
+    const nameInput = root.querySelector('.certificate-name input');
+    const preview = root.querySelector('.certificate-preview');
+    const printBtn = root.querySelector('.certificate-print');
+    const downloadBtn = root.querySelector('.certificate-download');
+    const closeBtn = root.querySelector('.certificate-close');
+    const status = root.querySelector('.certificate-status');
+
+    let details = null;
+    let logo = null;
+    let opener = null;
+
+    const currentName = () => (nameInput ? nameInput.value.trim() : '');
+
+    const svg = () => render({ ...details, name: currentName(), logo, font });
+
+    // Redraw the preview; printing and downloading wait for a name.
+    const update = () => {
+      if (!details) return;
+      if (preview) preview.innerHTML = svg();
+      const ready = currentName() !== '';
+      if (printBtn) printBtn.disabled = !ready;
+      if (downloadBtn) downloadBtn.disabled = !ready;
+    };
+
+    const close = () => {
+      if (!details) return;
+      root.style.display = 'none';
+      details = null;
+      if (opener) opener.focus({ preventScroll: true });
+    };
+
+    const open = (next, from = null) => {
+      details = next;
+      opener = from;
+      if (status) status.textContent = '';
+      root.style.display = 'flex';
+      update();
+      if (nameInput) nameInput.focus();
+      loadLogo(logoPath).then((url) => {
+        logo = url;
+        update();
+      });
+    };
+
+    if (nameInput) nameInput.addEventListener('input', update);
+    if (printBtn) {
+      printBtn.addEventListener('click', () => {
+        if (!sheet || !currentName()) return;
+        sheet.innerHTML = svg();
+        document.body.classList.add('printing-certificate');
+        window.addEventListener('afterprint', () => {
+          document.body.classList.remove('printing-certificate');
+          sheet.innerHTML = '';
+        }, { once: true });
+        window.print();
+      });
+    }
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => {
+        if (!currentName()) return;
+        toPng(svg())
+          .then((blob) => download(blob, fileName(currentName())))
+          .catch((err) => {
+            console.error(err);
+            if (status) status.textContent = I18n.t('certificate.downloadError');
+          });
+      });
+    }
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    root.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close();
+    });
+
+    return { open, close };
+  };
+
+  return { COLOURS, pageColours, render, toPng, fileName, createDialog };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Certificate;
+}
@@ -0,0 +1,74 @@
+/*
+ * Loader shared by the content files the deck reads at startup: the
+ * question banks, scenarios, email samples, sorting exercises and
+ * themes.  Each file is fetched, parsed and validated in the same way,
+ * with a translation placed beside it (`scenarios.ar.json` for Arabic)
+ * preferred when there is one.  Only a missing translation falls back
+ * to the original; one that is present but broken is reported like any
+ * other broken file.
+ *
+ * The modules keep their own error class and validation, and hand
+ * them to `load()`: problems are raised as that error class, with a
+ * message naming the file, so each scene can show what went wrong in
+ * its own way.
+ */
+const ContentLoader = (() => {
+  // Path of a file's translation: `questions.json` becomes
+  // `questions.ar.json` for Arabic.
+  const localisedPath = (path, lang) => path.replace(/(\.json)?$/i, `.${lang}$1`);
+
+  const fetchFile = async (path) => {
+    try {
+      return await fetch(path, { cache: 'no-cache' });
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // Parse and validate a fetched file.  `what` names the content in
+  // messages ("the scenarios"), `plural` says whether it reads as a
+  // plural, `validate(content)` returns the problems found and
+  // `ContentError` is the error class to raise.
+  const read = async (path, response, { what, plural = false, validate, ContentError }) => {
+    const subject = `${what.charAt(0).toUpperCase()}${what.slice(1)} "${path}"`;
+    const verb = plural ? 'are' : 'is';
+    if (!response) {
+      throw new ContentError(`Could not load ${what} "${path}".`, ['The file could not be fetched.']);
+    }
+    if (!response.ok) {
+      throw new ContentError(`Could not load ${what} "${path}".`, [`The server responded with ${response.status}.`]);
+    }
+    let content;
+    try {
+      content = await response.json();
+    } catch (err) {
+      throw new ContentError(`${subject} ${verb} not valid JSON.`, [err.message]);
+    }
+    const problems = validate(content);
+    if (problems.length) {
+      throw new ContentError(`${subject} ${verb} malformed.`, problems);
+    }
+    return content;
+  };
+
+  // Fetch, parse and validate `path`, preferring its translation for
+  // `lang` (none when null).  Resolves with `{ path, content }`, the
+  // path being the file actually used; rejects with the module's
+  // error class (see read() for the options).
+  const load = async (path, { lang = null, ...options }) => {
+    if (lang) {
+      const translated = localisedPath(path, lang);
+      const response = await fetchFile(translated);
+      if (response && response.status !== 404) {
+        return { path: translated, content: await read(translated, response, options) };
+      }
+    }
+    return { path, content: await read(path, await fetchFile(path), options) };
+  };
+
+  return { localisedPath, load };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContentLoader;
+}
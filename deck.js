@@ -0,0 +1,310 @@
+/*
+ * Slide deck controller.  Scenes register themselves with the deck,
+ * which then owns everything to do with moving between them: the
+ * previous/next buttons, the left/right arrow keys, the progress dots
+ * and the URL.
+ *
+ * The current scene is kept in the hash (`#/scene/2`, numbered from 1
+ * in registration order) so every scene can be deep linked and the
+ * browser's back and forward buttons step through the deck.  The old
+ * query‑string links (`?scene2`) are still honoured on first load.
+ *
+ * A scene registered with `requiresCompletion` acts as a gate: the
+ * learner cannot move past it until the scene calls `complete()`.
+ * Deep links opened on first load skip the gate so trainers can jump
+ * straight to any scene.  In a right‑to‑left document the arrow keys
+ * are mirrored so the forward key always points towards the next
+ * scene.
+ *
+ * A scene's `setup` may return lifecycle hooks.  When the deck moves
+ * to a scene it calls `exit()` on the scene being left, then `reset()`
+ * and `enter()` on the new one.  Scenes start their animations and
+ * timers in `enter()` and stop them in `exit()`, so nothing runs while
+ * a scene is hidden and every visit replays it from the beginning.
+ *
+ * For saving progress a scene may also return `snapshot()` and
+ * `restore(state)`.  `deck.snapshot()` collects the current scene,
+ * which scenes are completed and each scene's own state; handing that
+ * object back to `deck.restore()` resumes the session.  A restored
+ * state is applied the next time its scene is shown, between
+ * `reset()` and `enter()`; until then `deck.snapshot()` reports it
+ * as it was restored.  `deck.restart()` starts over for a new learner
+ * by clearing every completion and restoring each scene from an empty
+ * state, `{}`, so `restore()` must treat missing fields as a fresh
+ * start.  Listeners added with `onChange()` are told whenever any of
+ * this changes.
+ */
+const SlideDeck = (() => {
+  const HASH_PATTERN = /^#\/scene\/(\d+)$/;
+  const noop = () => {};
+  const NO_HOOKS = { enter: noop, exit: noop, reset: noop, snapshot: noop, restore: noop };
+
+  // Key presses from form fields are left alone so typing an arrow
+  // into an input never changes the slide.
+  const isTypingTarget = (target) => Boolean(target && (
+    target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+  ));
+
+  const create = ({ nav = null, win = window } = {}) => {
+    const scenes = [];
+    const listeners = [];
+    let currentIndex = -1;
+
+    const prevBtn = nav ? nav.querySelector('.deck-prev') : null;
+    const nextBtn = nav ? nav.querySelector('.deck-next') : null;
+    const dots = nav ? nav.querySelector('.deck-dots') : null;
+    const counter = nav ? nav.querySelector('.deck-counter') : null;
+
+    const hashFor = (index) => `#/scene/${index + 1}`;
+
+    // Parse the scene index from a hash, returning -1 when the hash
+    // does not name a registered scene.
+    const indexFromHash = (hash) => {
+      const match = HASH_PATTERN.exec(hash);
+      if (!match) return -1;
+      const index = Number(match[1]) - 1;
+      return index >= 0 && index < scenes.length ? index : -1;
+    };
+
+    // Support the original `?scene1` / `?scene2` links by matching the
+    // parameter name exactly against the registered scene ids.
+    const indexFromQuery = (search) => {
+      const params = new URLSearchParams(search.toLowerCase());
+      return scenes.findIndex((scene) => params.has(scene.id.toLowerCase()));
+    };
+
+    const notifyChange = () => {
+      listeners.forEach((listener) => listener());
+    };
+
+    // A scene can be reached once every gated scene before it has
+    // been completed.
+    const canReach = (index) => scenes
+      .slice(0, index)
+      .every((scene) => !scene.requiresCompletion || scene.completed);
+
+    const updateNav = () => {
+      if (!nav) return;
+      const current = scenes[currentIndex];
+      if (prevBtn) {
+        prevBtn.disabled = currentIndex <= 0;
+      }
+      if (nextBtn) {
+        const atEnd = currentIndex >= scenes.length - 1;
+        const blocked = !atEnd && !canReach(currentIndex + 1);
+        nextBtn.disabled = atEnd || blocked;
+        nextBtn.title = blocked ? I18n.t('deck.locked') : '';
+      }
+      if (counter) {
+        counter.textContent = `${currentIndex + 1} / ${scenes.length}`;
+      }
+      if (dots) {
+        dots.querySelectorAll('.deck-dot').forEach((dot, index) => {
+          const scene = scenes[index];
+          dot.classList.toggle('current', index === currentIndex);
+          dot.classList.toggle('complete', Boolean(scene.completed));
+          dot.disabled = index !== currentIndex && !canReach(index);
+          if (index === currentIndex) {
+            dot.setAttribute('aria-current', 'step');
+          } else {
+            dot.removeAttribute('aria-current');
+          }
+        });
+      }
+      if (current) {
+        nav.dataset.scene = current.id;
+      }
+    };
+
+    // Reveal the scene at `index` and hide the others, running the
+    // exit hook of the scene being left and the reset and enter hooks
+    // of the one being shown.  The scene is made visible before
+    // enter() so it can measure its layout.
+    const show = (index) => {
+      const previous = scenes[currentIndex];
+      if (previous) {
+        previous.hooks.exit();
+      }
+      currentIndex = index;
+      scenes.forEach((scene, i) => {
+        scene.element.style.display = i === index ? 'block' : 'none';
+      });
+      const current = scenes[index];
+      current.hooks.reset();
+      if (current.pendingState !== undefined) {
+        current.hooks.restore(current.pendingState);
+        current.pendingState = undefined;
+      }
+      current.hooks.enter();
+      updateNav();
+      notifyChange();
+    };
+
+    // Navigate to a scene by index.  The hash change drives the actual
+    // switch so that controls, deep links and history all share one
+    // code path.
+    const goTo = (index) => {
+      if (index < 0 || index >= scenes.length || index === currentIndex) return;
+      if (index > currentIndex && !canReach(index)) return;
+      win.location.hash = hashFor(index);
+    };
+
+    const next = () => goTo(currentIndex + 1);
+    const prev = () => goTo(currentIndex - 1);
+
+    const onHashChange = () => {
+      const index = indexFromHash(win.location.hash);
+      // Going back is always allowed, as in goTo(), so Prev and the
+      // browser's back button work after a deep link past the gates.
+      if (index === -1 || (index > currentIndex && !canReach(index))) {
+        // Unknown or gated target: put the current scene back in the
+        // address bar without adding another history entry.
+        win.history.replaceState(null, '', hashFor(currentIndex));
+        return;
+      }
+      if (index !== currentIndex) {
+        show(index);
+      }
+    };
+
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+      // In a right‑to‑left layout the deck runs from right to left,
+      // so the arrow keys swap over.
+      const forward = win.document.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+      const back = forward === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+      if (e.key === forward) {
+        next();
+      } else if (e.key === back) {
+        prev();
+      }
+    };
+
+    const buildDots = () => {
+      if (!dots) return;
+      dots.innerHTML = '';
+      scenes.forEach((scene, index) => {
+        const item = document.createElement('li');
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'deck-dot';
+        dot.setAttribute('aria-label', I18n.t('deck.goTo', { title: scene.title }));
+        dot.addEventListener('click', () => goTo(index));
+        item.appendChild(dot);
+        dots.appendChild(item);
+      });
+    };
+
+    // Register a scene.  `setup` is called straight away with the
+    // scene element and a handle the scene uses to report completion,
+    // and may return `enter`, `exit` and `reset` hooks.  Scenes whose
+    // element is missing from the page are skipped.
+    const register = ({ id, element, title = id, requiresCompletion = false, setup = null }) => {
+      if (!element) {
+        console.warn(`Scene "${id}" is not in the page and was not registered.`);
+        return;
+      }
+      const scene = { id, element, title, requiresCompletion, completed: false, pendingState: undefined };
+      scenes.push(scene);
+      const handle = { complete: () => complete(id), changed: notifyChange };
+      const hooks = setup ? setup(element, handle) : null;
+      scene.hooks = { ...NO_HOOKS, ...hooks };
+    };
+
+    // Mark a scene as completed, opening the gate to the next one.
+    const complete = (id) => {
+      const scene = scenes.find((s) => s.id === id);
+      if (!scene || scene.completed) return;
+      scene.completed = true;
+      updateNav();
+      notifyChange();
+    };
+
+    // True once every gated scene has been completed.
+    const isFinished = () => scenes.every((scene) => !scene.requiresCompletion || scene.completed);
+
+    // Capture where the learner is, which scenes are completed and the
+    // state each scene chooses to save.  The result is plain JSON.
+    const snapshot = () => ({
+      scene: currentIndex,
+      scenes: scenes.reduce((saved, scene) => {
+        const state = scene.pendingState !== undefined ? scene.pendingState : scene.hooks.snapshot();
+        saved[scene.id] = { completed: scene.completed, state };
+        return saved;
+      }, {})
+    });
+
+    // Resume from a snapshot.  Completion flags are applied straight
+    // away; each scene's state is held until the scene is next shown.
+    // The saved scene is then shown, replacing the current one.
+    const restore = (saved) => {
+      if (!saved || !saved.scenes) return;
+      scenes.forEach((scene) => {
+        const entry = saved.scenes[scene.id];
+        if (!entry) return;
+        scene.completed = Boolean(entry.completed);
+        scene.pendingState = entry.state === null ? undefined : entry.state;
+      });
+      const index = saved.scene >= 0 && saved.scene < scenes.length ? saved.scene : 0;
+      win.history.replaceState(null, '', hashFor(index));
+      show(index);
+    };
+
+    // Start the deck over from the first scene with nothing completed
+    // and every scene restored from an empty state when next shown.
+    const restart = () => {
+      if (!scenes.length) return;
+      scenes.forEach((scene) => {
+        scene.completed = false;
+        scene.pendingState = {};
+      });
+      win.history.replaceState(null, '', hashFor(0));
+      show(0);
+    };
+
+    const onChange = (listener) => {
+      listeners.push(listener);
+    };
+
+    // Show the scene named by the URL and start listening for
+    // navigation.  Call once every scene has been registered.
+    const start = () => {
+      if (!scenes.length) return;
+      let index = indexFromHash(win.location.hash);
+      if (index === -1) {
+        index = Math.max(0, indexFromQuery(win.location.search));
+      }
+      buildDots();
+      win.history.replaceState(null, '', hashFor(index));
+      show(index);
+      win.addEventListener('hashchange', onHashChange);
+      win.document.addEventListener('keydown', onKeyDown);
+      if (prevBtn) prevBtn.addEventListener('click', prev);
+      if (nextBtn) nextBtn.addEventListener('click', next);
+    };
+
+    return {
+      register,
+      complete,
+      isFinished,
+      snapshot,
+      restore,
+      restart,
+      onChange,
+      start,
+      next,
+      prev,
+      goTo,
+      get current() {
+        return scenes[currentIndex] || null;
+      }
+    };
+  };
+
+  return { create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SlideDeck;
+}
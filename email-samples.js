@@ -0,0 +1,167 @@
+/*
+ * Email samples for the scene 3 phishing inspection.  Each sample is
+ * a mock email described in `emails.json` (translated as
+ * `emails.<lang>.json`, like question banks): the sender, subject,
+ * body and attachments, with the suspicious parts marked as hotspots
+ * the learner should find.
+ *
+ *   {
+ *     "id": "payroll-update",
+ *     "sender": { "name": "Kitopi Payroll", "address": "payroll@kitopi-hr.support",
+ *                 "suspicious": true, "feedback": "…" },
+ *     "to": "you@kitopi.com",
+ *     "subject": "URGENT: Confirm your bank details",
+ *     "date": "Today, 07:42",
+ *     "body": [
+ *       ["Dear employee,"],
+ *       ["Please ", { "text": "update your details", "href": "http://…",
+ *                     "suspicious": true, "feedback": "…" }, " today."]
+ *     ],
+ *     "attachments": [
+ *       { "name": "Payslip.pdf.exe", "size": "312 KB", "suspicious": true, "feedback": "…" }
+ *     ]
+ *   }
+ *
+ * The body is a list of paragraphs, each a list of segments: plain
+ * strings, or objects with `text` and optionally `href` for a link.
+ * The sender, the subject (given as an object), any segment object
+ * and any attachment become a hotspot when it sets `suspicious`, and
+ * every hotspot needs `feedback` explaining why it is or is not a red
+ * flag.  Links are always hotspots so the learner can check where
+ * each one leads.  Hotspots are identified by `id` when given and by
+ * their position otherwise.
+ */
+const EmailSamples = (() => {
+  const DEFAULT_PATH = 'emails.json';
+
+  // Error raised when the samples cannot be fetched, parsed or
+  // validated.  `problems` lists every individual issue found.
+  class EmailSamplesError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'EmailSamplesError';
+      this.problems = problems;
+    }
+  }
+
+  const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+  const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  // True when an entry of the email is something the learner can click.
+  const isHotspot = (entry) => isObject(entry) && (typeof entry.suspicious === 'boolean' || isNonEmptyString(entry.href));
+
+  // List every hotspot of an email in reading order as
+  // `{ id, kind, entry }`, where `kind` is "sender", "subject",
+  // "link", "text" or "attachment".
+  const hotspots = (email) => {
+    const found = [];
+    const add = (entry, kind, fallbackId) => {
+      if (isHotspot(entry)) {
+        found.push({ id: isNonEmptyString(entry.id) ? entry.id : fallbackId, kind, entry });
+      }
+    };
+    add(email.sender, 'sender', 'sender');
+    add(email.subject, 'subject', 'subject');
+    (email.body || []).forEach((paragraph, pIndex) => {
+      (Array.isArray(paragraph) ? paragraph : []).forEach((segment, sIndex) => {
+        add(segment, isObject(segment) && segment.href ? 'link' : 'text', `body-${pIndex + 1}-${sIndex + 1}`);
+      });
+    });
+    (email.attachments || []).forEach((attachment, aIndex) => {
+      add(attachment, 'attachment', `attachment-${aIndex + 1}`);
+    });
+    return found;
+  };
+
+  // Check the structure of a parsed samples file.  Returns an array
+  // of human‑readable problems; an empty array means it is valid.
+  const validate = (config) => {
+    const problems = [];
+    if (!isObject(config) || !Array.isArray(config.emails)) {
+      problems.push('The file must contain an "emails" array.');
+      return problems;
+    }
+    if (config.emails.length === 0) {
+      problems.push('The "emails" array is empty.');
+    }
+    const seenIds = new Set();
+    config.emails.forEach((email, eIndex) => {
+      const label = `Email ${eIndex + 1}`;
+      if (!isObject(email)) {
+        problems.push(`${label} is not an object.`);
+        return;
+      }
+      if (!isNonEmptyString(email.id)) {
+        problems.push(`${label} is missing an "id".`);
+      } else if (seenIds.has(email.id)) {
+        problems.push(`${label} reuses the id "${email.id}".`);
+      } else {
+        seenIds.add(email.id);
+      }
+      if (!isObject(email.sender) || !isNonEmptyString(email.sender.address)) {
+        problems.push(`${label} needs a sender with an "address".`);
+      }
+      const subjectText = isObject(email.subject) ? email.subject.text : email.subject;
+      if (!isNonEmptyString(subjectText)) {
+        problems.push(`${label} has no subject.`);
+      }
+      if (!Array.isArray(email.body) || email.body.length === 0 || !email.body.every(Array.isArray)) {
+        problems.push(`${label} needs a "body" made of paragraphs, each a list of segments.`);
+      } else {
+        email.body.forEach((paragraph, pIndex) => {
+          paragraph.forEach((segment, sIndex) => {
+            const segmentLabel = `${label}, paragraph ${pIndex + 1}, segment ${sIndex + 1}`;
+            if (typeof segment === 'string') return;
+            if (!isObject(segment) || !isNonEmptyString(segment.text)) {
+              problems.push(`${segmentLabel} must be text or an object with "text".`);
+            }
+          });
+        });
+      }
+      if (email.attachments !== undefined && !Array.isArray(email.attachments)) {
+        problems.push(`${label} has "attachments" that are not a list.`);
+      } else {
+        (email.attachments || []).forEach((attachment, aIndex) => {
+          if (!isObject(attachment) || !isNonEmptyString(attachment.name)) {
+            problems.push(`${label}, attachment ${aIndex + 1} has no "name".`);
+          }
+        });
+      }
+      const spots = hotspots(email);
+      const spotIds = new Set();
+      spots.forEach(({ id, entry }) => {
+        if (spotIds.has(id)) {
+          problems.push(`${label} has two hotspots with the id "${id}".`);
+        }
+        spotIds.add(id);
+        if (!isNonEmptyString(entry.feedback)) {
+          problems.push(`${label}, hotspot "${id}" has no feedback message.`);
+        }
+      });
+      if (!spots.some(({ entry }) => entry.suspicious === true)) {
+        problems.push(`${label} has no suspicious hotspot to find.`);
+      }
+    });
+    return problems;
+  };
+
+  // Fetch, parse and validate the samples, preferring the translation
+  // for `lang` when there is one (see content-loader.js).  Resolves
+  // with the parsed file; rejects with an EmailSamplesError.
+  const load = async (path = DEFAULT_PATH, lang = null) => {
+    const { content } = await ContentLoader.load(path, {
+      lang,
+      what: 'the email samples',
+      plural: true,
+      validate,
+      ContentError: EmailSamplesError
+    });
+    return content;
+  };
+
+  return { DEFAULT_PATH, EmailSamplesError, hotspots, validate, load };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmailSamples;
+}
@@ -0,0 +1,78 @@
+/*
+ * Scaling of the slide to the screen.  Every scene is laid out in a
+ * fixed 600×600 frame; rather than reflowing the scenes, the whole
+ * frame is scaled to the largest size that fits the space around it,
+ * from a portrait phone up to a wall display, so the monitor, the
+ * quiz card and everything else keep their proportions.
+ *
+ * The scale is applied through the `--frame-scale` custom property on
+ * the slide (see `#slide-container` in style.css) and recalculated
+ * whenever the window is resized or the device rotated.  Overlays are
+ * sized in CSS relative to the frame and simply follow it.  Anything
+ * placed in pixels from measurements on screen, such as the quiz
+ * notification bubble, listens with `onResize()` and measures again;
+ * `scaleOf()` converts those screen measurements back into frame
+ * pixels.
+ */
+const ResponsiveFrame = (() => {
+  const SIZE = 600;
+
+  // Largest scale at which the frame fits in `width` × `height`.
+  const fitScale = (width, height) => Math.min(width / SIZE, height / SIZE);
+
+  // The scale an element inside the frame is drawn at: its width on
+  // screen over its width in the layout.  1 when it is not laid out.
+  const scaleOf = (element) => {
+    if (!element || !element.offsetWidth) return 1;
+    return element.getBoundingClientRect().width / element.offsetWidth || 1;
+  };
+
+  // Scale `slide` to fit `frame`, the element holding it, now and on
+  // every resize.  Returns `{ scale, onResize(listener) }`; listeners
+  // are called with the new scale once it has been applied.
+  const create = ({ frame, slide, win = window }) => {
+    const listeners = [];
+    let scale = 1;
+    let pending = null;
+
+    const apply = () => {
+      pending = null;
+      const width = frame.clientWidth;
+      const height = frame.clientHeight;
+      // A frame that is not laid out (hidden, say) keeps its scale.
+      if (!width || !height) return;
+      scale = fitScale(width, height);
+      slide.style.setProperty('--frame-scale', String(scale));
+      listeners.forEach((listener) => listener(scale));
+    };
+
+    // Resize events arrive in bursts; apply the last one per frame.
+    const schedule = () => {
+      if (pending === null) {
+        pending = win.requestAnimationFrame(apply);
+      }
+    };
+
+    win.addEventListener('resize', schedule);
+    win.addEventListener('orientationchange', schedule);
+    if (win.visualViewport) {
+      win.visualViewport.addEventListener('resize', schedule);
+    }
+    apply();
+
+    return {
+      get scale() {
+        return scale;
+      },
+      onResize: (listener) => {
+        listeners.push(listener);
+      }
+    };
+  };
+
+  return { SIZE, fitScale, scaleOf, create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResponsiveFrame;
+}
@@ -0,0 +1,129 @@
+/*
+ * Locale layer for every learner‑facing string.  Messages live in
+ * JSON catalogs under `locales/` (one file per language, flat
+ * `"scene1.prompt": "…"` keys) and are looked up with `I18n.t()`.
+ * Placeholders such as `{score}` are filled in from the second
+ * argument.
+ *
+ * The language comes from `?lang=`, then from the browser's preferred
+ * languages, and falls back to English.  English is always loaded as
+ * well, so a key missing from a translation still shows the English
+ * text.  Static text in `index.html` carries `data-i18n` (element text)
+ * or `data-i18n-attr="attr:key; …"` (attributes) and is translated by
+ * `translatePage()`; the English already in the markup stays put if a
+ * catalog cannot be loaded.
+ *
+ * Right‑to‑left languages set `dir="rtl"` on the document, which the
+ * stylesheet and deck controller take into account.  To add a
+ * language, drop its catalog into `locales/`, add its code to
+ * `SUPPORTED` and, optionally, provide `questions.<code>.json`.
+ */
+const I18n = (() => {
+  const DEFAULT_LANG = 'en';
+  const SUPPORTED = ['en', 'ar'];
+  const RTL = ['ar'];
+
+  let lang = DEFAULT_LANG;
+  let messages = {};
+  let fallback = {};
+
+  // Pick the first supported language from `?lang=` and the browser
+  // preferences, comparing primary subtags only (`ar-AE` → `ar`).
+  const resolveLang = (search = window.location.search, preferred = navigator.languages || [navigator.language]) => {
+    const candidates = [new URLSearchParams(search).get('lang'), ...preferred];
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const primary = candidate.toLowerCase().split('-')[0];
+      if (SUPPORTED.includes(primary)) return primary;
+    }
+    return DEFAULT_LANG;
+  };
+
+  const fetchCatalog = async (code) => {
+    const response = await fetch(`locales/${code}.json`, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`The "${code}" catalog responded with ${response.status}.`);
+    }
+    return response.json();
+  };
+
+  // Choose the language, load its catalog (plus English as the
+  // fallback) and set `lang`/`dir` on the document.  Never rejects: a
+  // catalog that fails to load is logged and English is used instead.
+  const init = async ({ search, preferred } = {}) => {
+    lang = resolveLang(search, preferred);
+    try {
+      fallback = await fetchCatalog(DEFAULT_LANG);
+    } catch (err) {
+      console.warn('Could not load the English messages.', err);
+      fallback = {};
+    }
+    messages = fallback;
+    if (lang !== DEFAULT_LANG) {
+      try {
+        messages = await fetchCatalog(lang);
+      } catch (err) {
+        console.warn(`Could not load the "${lang}" messages; using English.`, err);
+        lang = DEFAULT_LANG;
+      }
+    }
+    document.documentElement.lang = lang;
+    document.documentElement.dir = isRtl() ? 'rtl' : 'ltr';
+    return lang;
+  };
+
+  const has = (key) => Object.prototype.hasOwnProperty.call(messages, key) ||
+    Object.prototype.hasOwnProperty.call(fallback, key);
+
+  // Look up a message and fill in `{name}` placeholders.  Unknown keys
+  // come back as the key itself so they are easy to spot.
+  const t = (key, params = {}) => {
+    let text = key;
+    if (Object.prototype.hasOwnProperty.call(messages, key)) {
+      text = messages[key];
+    } else if (Object.prototype.hasOwnProperty.call(fallback, key)) {
+      text = fallback[key];
+    }
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    ));
+  };
+
+  // Translate the `data-i18n` and `data-i18n-attr` markers under
+  // `root`.  Elements whose key has no message keep their markup text.
+  const translatePage = (root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      const key = el.dataset.i18n;
+      if (has(key)) {
+        el.textContent = t(key);
+      }
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+      el.dataset.i18nAttr.split(';').forEach((pair) => {
+        const [attr, key] = pair.split(':').map((part) => part.trim());
+        if (attr && key && has(key)) {
+          el.setAttribute(attr, t(key));
+        }
+      });
+    });
+  };
+
+  const isRtl = () => RTL.includes(lang);
+
+  return {
+    DEFAULT_LANG,
+    SUPPORTED,
+    init,
+    t,
+    has,
+    translatePage,
+    isRtl,
+    get lang() {
+      return lang;
+    }
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
@@ -0,0 +1,372 @@
+/*
+ * Phishing email inspection, scene 3.  The scene shows a series of
+ * mock emails (see email-samples.js and emails.json).  The learner
+ * clicks anything that looks suspicious, such as the sender, a link or
+ * an attachment, and each click explains whether it was a red flag.
+ * "Done inspecting" then outlines the red flags they missed and scores
+ * the email: one point per red flag found, less one per false alarm,
+ * never below zero.  After the last email a summary lists every email
+ * and the course score so far, and the scene counts as completed.
+ * Like the quiz, every visit starts afresh.
+ *
+ * The markup is the `#scene3` element in `index.html`; samples that
+ * fail to load are listed in its error panel by `renderError()`.
+ */
+const InspectScene = (() => {
+  // Add text to a hotspot that only screen readers announce.
+  const appendHiddenText = (el, text) => {
+    const span = document.createElement('span');
+    span.className = 'sr-only';
+    span.textContent = text;
+    el.appendChild(span);
+  };
+
+  // List why the samples could not be used in the scene's error panel,
+  // in place of the email.
+  const renderError = (scene, err) => {
+    const error = scene.querySelector('.inspect-error');
+    if (!error) return;
+    const title = error.querySelector('.quiz-error-title');
+    const list = error.querySelector('.quiz-error-list');
+    if (title) title.textContent = err.message;
+    if (list) {
+      list.replaceChildren(...(err.problems || []).map((problem) => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        return item;
+      }));
+    }
+    scene.classList.add('has-error');
+  };
+
+  // Build the deck `setup` function for the samples (see deck.js).
+  // Each inspected email is reported to `lms` like a quiz answer,
+  // `announce(message)` speaks to screen readers and `courseScore()`
+  // returns the course score shown on the summary.
+  const setup = (samples, {
+    lms = LmsReporter.createNoopReporter(),
+    announce = () => {},
+    courseScore = () => null
+  } = {}) => (scene, { complete, changed }) => {
+    const emailEl = scene.querySelector('.email');
+    const fromEl = scene.querySelector('.email-from');
+    const toEl = scene.querySelector('.email-to');
+    const subjectEl = scene.querySelector('.email-subject');
+    const dateEl = scene.querySelector('.email-date');
+    const bodyEl = scene.querySelector('.email-body');
+    const attachmentsEl = scene.querySelector('.email-attachments');
+    const attachmentList = scene.querySelector('.email-attachment-list');
+    const statusEl = scene.querySelector('.email-status');
+    const progressEl = scene.querySelector('.inspect-progress');
+    const countEl = scene.querySelector('.inspect-count');
+    const doneBtn = scene.querySelector('.inspect-done');
+    const feedback = scene.querySelector('.inspect-feedback');
+    const feedbackTitle = feedback ? feedback.querySelector('.inspect-feedback-title') : null;
+    const feedbackText = feedback ? feedback.querySelector('.inspect-feedback-text') : null;
+    const summary = scene.querySelector('.inspect-summary');
+    const summaryBox = summary ? summary.querySelector('.score-box') : null;
+    const summaryText = summary ? summary.querySelector('.score-text') : null;
+    const summaryList = summary ? summary.querySelector('.inspect-summary-list') : null;
+    const courseText = summary ? summary.querySelector('.score-course') : null;
+
+    const emails = samples.emails;
+    // The hotspots of each email, and the red flags among them.
+    const spots = emails.map((email) => EmailSamples.hotspots(email));
+    const flagsIn = (index) => spots[index].filter(({ entry }) => entry.suspicious === true);
+    const maxScore = spots.reduce((sum, list, index) => sum + flagsIn(index).length, 0);
+
+    let index = 0;
+    // Ids of the hotspots clicked in the current email.
+    let marks = new Set();
+    // True once "Done inspecting" has been pressed for this email.
+    let inspected = false;
+    // One `{ id, found, total, falseAlarms }` per inspected email.
+    let results = [];
+    // Result of the last finished attempt, for the course score.
+    let result = null;
+    // Hotspot buttons of the email on show, by hotspot id.
+    let buttons = new Map();
+
+    const subjectOf = (email) => (typeof email.subject === 'string' ? email.subject : email.subject.text);
+
+    const scoreOf = (list) => list.reduce((sum, entry) => sum + Math.max(0, entry.found - entry.falseAlarms), 0);
+
+    // Count what has been found in the current email.
+    const tally = () => {
+      const flags = flagsIn(index);
+      const found = flags.filter(({ id }) => marks.has(id)).length;
+      return {
+        id: emails[index].id,
+        found,
+        total: flags.length,
+        falseAlarms: marks.size - found
+      };
+    };
+
+    const showFeedback = (title, text) => {
+      if (feedbackTitle) feedbackTitle.textContent = title;
+      if (feedbackText) feedbackText.textContent = text;
+    };
+
+    const updateCount = () => {
+      const { found, total } = tally();
+      if (countEl) {
+        countEl.textContent = I18n.t('inspect.count', { found, total });
+      }
+    };
+
+    // Style a hotspot as flagged or as a false alarm.  Colour is backed
+    // up by a mark (see style.css) and by text for screen readers.
+    const markButton = (button, suspicious) => {
+      button.classList.add(suspicious ? 'flagged' : 'false-alarm');
+      appendHiddenText(button, I18n.t(suspicious ? 'inspect.markedFlag' : 'inspect.markedClear'));
+    };
+
+    // Clicking a hotspot marks it once and explains it; clicking it
+    // again only shows the explanation again.
+    const onHotspot = (spot, button) => {
+      const suspicious = spot.entry.suspicious === true;
+      showFeedback(I18n.t(suspicious ? 'inspect.flagTitle' : 'inspect.clearTitle'), spot.entry.feedback);
+      if (inspected || marks.has(spot.id)) return;
+      marks.add(spot.id);
+      markButton(button, suspicious);
+      announce(I18n.t(suspicious ? 'inspect.announceFlag' : 'inspect.announceClear', { message: spot.entry.feedback }));
+      updateCount();
+      changed();
+    };
+
+    // Mail clients show where a link leads while it is hovered; the
+    // status bar does the same for the mock links.
+    const showLinkTarget = (href) => {
+      if (!statusEl) return;
+      statusEl.textContent = href;
+      statusEl.classList.toggle('show', Boolean(href));
+    };
+
+    // Build the clickable element for a hotspot.
+    const hotspotButton = (spot, content) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `hotspot hotspot-${spot.kind}`;
+      button.dataset.hotspot = spot.id;
+      button.append(content);
+      if (spot.kind === 'link') {
+        appendHiddenText(button, I18n.t('inspect.linkTarget', { href: spot.entry.href }));
+        ['mouseenter', 'focus'].forEach((type) => {
+          button.addEventListener(type, () => showLinkTarget(spot.entry.href));
+        });
+        ['mouseleave', 'blur'].forEach((type) => {
+          button.addEventListener(type, () => showLinkTarget(''));
+        });
+      }
+      button.addEventListener('click', () => onHotspot(spot, button));
+      buttons.set(spot.id, button);
+      return button;
+    };
+
+    // Render the email at `index`, with any marks already made.
+    const renderEmail = () => {
+      const email = emails[index];
+      const byEntry = new Map(spots[index].map((spot) => [spot.entry, spot]));
+      // The entry as a hotspot button, or as plain text when it is not
+      // one.
+      const content = (entry, text) => (byEntry.has(entry) ? hotspotButton(byEntry.get(entry), text) : text);
+
+      buttons = new Map();
+      if (progressEl) {
+        progressEl.textContent = I18n.t('inspect.progress', { number: index + 1, total: emails.length });
+      }
+      if (fromEl) {
+        const sender = email.sender.name ? `${email.sender.name} <${email.sender.address}>` : email.sender.address;
+        fromEl.replaceChildren(content(email.sender, sender));
+      }
+      if (toEl) toEl.textContent = email.to || '';
+      if (subjectEl) subjectEl.replaceChildren(content(email.subject, subjectOf(email)));
+      if (dateEl) dateEl.textContent = email.date || '';
+      if (bodyEl) {
+        bodyEl.replaceChildren(...email.body.map((segments) => {
+          const paragraph = document.createElement('p');
+          segments.forEach((segment) => {
+            paragraph.append(typeof segment === 'string' ? segment : content(segment, segment.text));
+          });
+          return paragraph;
+        }));
+      }
+      const attachments = email.attachments || [];
+      if (attachmentsEl) attachmentsEl.hidden = attachments.length === 0;
+      if (attachmentList) {
+        attachmentList.replaceChildren(...attachments.map((attachment) => {
+          const item = document.createElement('li');
+          const label = attachment.size ? `${attachment.name} (${attachment.size})` : attachment.name;
+          item.append(content(attachment, label));
+          return item;
+        }));
+      }
+      buttons.forEach((button, id) => {
+        if (marks.has(id)) {
+          markButton(button, spots[index].find((spot) => spot.id === id).entry.suspicious === true);
+        }
+      });
+      showLinkTarget('');
+      showFeedback('', I18n.t('inspect.instructions'));
+      updateCount();
+      if (inspected) {
+        revealMissed();
+      } else if (doneBtn) {
+        doneBtn.textContent = I18n.t('inspect.done');
+      }
+    };
+
+    // Outline the red flags that were not found and offer the next
+    // email.
+    const revealMissed = () => {
+      flagsIn(index).forEach(({ id }) => {
+        const button = buttons.get(id);
+        if (button && !marks.has(id)) {
+          button.classList.add('missed');
+          appendHiddenText(button, I18n.t('inspect.markedMissed'));
+        }
+      });
+      if (doneBtn) {
+        doneBtn.textContent = I18n.t(index + 1 < emails.length ? 'inspect.next' : 'inspect.results');
+      }
+    };
+
+    // Score the current email and report it like a quiz answer.
+    const finishEmail = () => {
+      inspected = true;
+      const entry = tally();
+      results = results.filter((other) => other.id !== entry.id).concat(entry);
+      lms.recordAnswer({
+        id: `${scene.id}-${entry.id}`,
+        response: [...marks].join(','),
+        correctResponse: flagsIn(index).map(({ id }) => id).join(','),
+        correct: entry.found === entry.total && entry.falseAlarms === 0
+      });
+      revealMissed();
+      const message = [
+        I18n.t('inspect.emailResult', { found: entry.found, total: entry.total }),
+        entry.falseAlarms ? I18n.t('inspect.falseAlarms', { count: entry.falseAlarms }) : '',
+        entry.found < entry.total ? I18n.t('inspect.missed') : ''
+      ].filter(Boolean).join(' ');
+      showFeedback('', message);
+      announce(message);
+      changed();
+    };
+
+    // Show the summary of every inspected email.
+    const showSummary = () => {
+      result = { score: scoreOf(results), max: maxScore };
+      if (summaryText) {
+        summaryText.textContent = I18n.t('inspect.summaryScore', result);
+      }
+      if (summaryList) {
+        summaryList.replaceChildren(...results.map((entry) => {
+          const email = emails.find((candidate) => candidate.id === entry.id);
+          const item = document.createElement('li');
+          item.textContent = I18n.t('inspect.summaryFound', {
+            subject: email ? subjectOf(email) : entry.id,
+            found: entry.found,
+            total: entry.total,
+            falseAlarms: entry.falseAlarms
+          });
+          return item;
+        }));
+      }
+      const course = courseScore();
+      if (courseText) {
+        courseText.textContent = course ? I18n.t('course.score', course) : '';
+      }
+      if (summary) {
+        summary.style.display = 'flex';
+      }
+      if (summaryBox) {
+        summaryBox.focus({ preventScroll: true });
+      }
+      announce(I18n.t('inspect.announceComplete', { score: summaryText ? summaryText.textContent : '' }));
+    };
+
+    // Move on to the next email, or to the summary after the last one.
+    const nextEmail = () => {
+      index++;
+      marks = new Set();
+      inspected = false;
+      if (index < emails.length) {
+        renderEmail();
+        if (emailEl) emailEl.focus({ preventScroll: true });
+        changed();
+      } else {
+        showSummary();
+        complete();
+        changed();
+      }
+    };
+
+    const showCurrent = () => {
+      if (index < emails.length) {
+        renderEmail();
+      } else {
+        showSummary();
+      }
+    };
+
+    const reset = () => {
+      index = 0;
+      marks = new Set();
+      inspected = false;
+      results = [];
+      if (summary) {
+        summary.style.display = 'none';
+      }
+      showLinkTarget('');
+    };
+
+    if (doneBtn) {
+      doneBtn.addEventListener('click', () => {
+        if (index >= emails.length) return;
+        if (inspected) {
+          nextEmail();
+        } else {
+          finishEmail();
+        }
+      });
+    }
+
+    // Lifecycle hooks called by the deck controller.
+    return {
+      enter: showCurrent,
+      exit: () => showLinkTarget(''),
+      reset,
+      // Saved progress: the email on show, what has been marked in it
+      // and the results so far.
+      snapshot: () => ({
+        index,
+        marks: [...marks],
+        inspected,
+        results,
+        result: result || { score: 0, max: maxScore }
+      }),
+      // Marks that are not hotspots of the saved email (after the
+      // samples changed, say) are dropped.
+      restore: (state) => {
+        index = Math.min(emails.length, Math.max(0, Number(state.index) || 0));
+        const known = index < emails.length ? new Set(spots[index].map((spot) => spot.id)) : new Set();
+        marks = new Set((Array.isArray(state.marks) ? state.marks : []).filter((id) => known.has(id)));
+        inspected = index < emails.length && state.inspected === true;
+        results = (Array.isArray(state.results) ? state.results : []).filter((entry) => (
+          entry && emails.some((email) => email.id === entry.id) &&
+          ['found', 'total', 'falseAlarms'].every((key) => Number.isFinite(entry[key]))
+        ));
+        result = state.result && Number.isFinite(state.result.score) && Number.isFinite(state.result.max)
+          ? { score: state.result.score, max: state.result.max }
+          : null;
+      }
+    };
+  };
+
+  return { renderError, setup };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InspectScene;
+}
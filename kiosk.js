@@ -0,0 +1,128 @@
+/*
+ * Kiosk mode for shared terminals, turned on with `?kiosk`.  Between
+ * learners the page shows an attract screen covering the deck, where
+ * the next learner may enter their badge or employee ID before
+ * starting.  When nobody has touched the screen for a while
+ * (`?kiosk=<seconds>`, 90 seconds by default) the deck is reset for
+ * the next learner and the attract screen comes back, so a session
+ * left on a scoreboard or a finished scene never lingers.
+ *
+ * The module only looks after the attract screen, the idle timer and
+ * keeping the page from being navigated away from: leaving asks for
+ * confirmation, the long‑press context menu is suppressed and links
+ * to other pages are ignored.  What a reset clears is up to the page
+ * (see `onIdle` and `onStart` below).  The page keeps a completion
+ * record per learner but reports only the first finished run to an
+ * LMS, since an LMS launch is a single attempt.
+ */
+const Kiosk = (() => {
+  const DEFAULT_IDLE_SECONDS = 90;
+  // Anything that counts as someone using the terminal.
+  const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart', 'input'];
+
+  // Read kiosk mode from the URL.  Returns null without `?kiosk`,
+  // otherwise `{ idleSeconds }`; a missing or invalid number of
+  // seconds falls back to the default.
+  const resolve = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    if (!params.has('kiosk')) return null;
+    const seconds = Number(params.get('kiosk'));
+    return { idleSeconds: Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_IDLE_SECONDS };
+  };
+
+  // True when clicking `link` would leave the page.
+  const leavesPage = (link, win) => {
+    if (link.hasAttribute('download')) return false;
+    const target = new URL(link.href, win.location.href);
+    return target.origin !== win.location.origin || target.pathname !== win.location.pathname;
+  };
+
+  // Wire the attract screen in `root`.  `cover` lists the elements
+  // hidden behind it, which are made inert while it shows.
+  // `onStart(learnerId)` is called when a learner starts, with the ID
+  // they entered or null, and `onIdle()` when the terminal has been
+  // left alone.  The attract screen is shown straight away.
+  const create = ({
+    root,
+    cover = [],
+    idleSeconds = DEFAULT_IDLE_SECONDS,
+    onStart = () => {},
+    onIdle = () => {},
+    win = window
+  }) => {
+    const badgeInput = root.querySelector('.kiosk-badge input');
+    const startBtn = root.querySelector('.kiosk-start');
+    let timer = null;
+    let attracting = false;
+
+    const setCovered = (covered) => {
+      cover.forEach((element) => {
+        if (element) element.inert = covered;
+      });
+    };
+
+    const showAttract = () => {
+      attracting = true;
+      clearTimeout(timer);
+      setCovered(true);
+      if (badgeInput) badgeInput.value = '';
+      root.style.display = 'flex';
+      (badgeInput || startBtn).focus({ preventScroll: true });
+    };
+
+    const idle = () => {
+      onIdle();
+      showAttract();
+    };
+
+    // Restart the idle countdown.  Nothing counts down on the attract
+    // screen itself.
+    const arm = () => {
+      clearTimeout(timer);
+      if (!attracting) {
+        timer = setTimeout(idle, idleSeconds * 1000);
+      }
+    };
+
+    const start = () => {
+      const learnerId = badgeInput ? badgeInput.value.trim() : '';
+      attracting = false;
+      root.style.display = 'none';
+      setCovered(false);
+      onStart(learnerId || null);
+      arm();
+    };
+
+    if (startBtn) startBtn.addEventListener('click', start);
+    if (badgeInput) {
+      badgeInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') start();
+      });
+    }
+    // Keys pressed on the attract screen must not reach the deck's
+    // arrow key navigation behind it.
+    root.addEventListener('keydown', (event) => event.stopPropagation());
+
+    ACTIVITY_EVENTS.forEach((type) => {
+      win.document.addEventListener(type, arm, { capture: true, passive: true });
+    });
+    win.addEventListener('beforeunload', (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    });
+    win.document.addEventListener('contextmenu', (event) => event.preventDefault());
+    win.document.addEventListener('click', (event) => {
+      const link = event.target.closest ? event.target.closest('a[href]') : null;
+      if (link && leavesPage(link, win)) event.preventDefault();
+    }, true);
+
+    showAttract();
+    return { showAttract };
+  };
+
+  return { DEFAULT_IDLE_SECONDS, resolve, create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Kiosk;
+}
@@ -0,0 +1,345 @@
+/*
+ * Reporting layer for learning management systems.  When the deck is
+ * launched from an LMS the learner's progress is reported back so the
+ * compliance record no longer relies on someone reading the score off
+ * the screen.  Two standards are supported:
+ *
+ *   - SCORM 1.2, detected by looking for the `API` object the LMS
+ *     places on a parent (or opener) window.
+ *   - xAPI, enabled when the launch URL carries the usual `endpoint`,
+ *     `auth` and `actor` parameters.  Statements are POSTed to the
+ *     LRS with fetch.
+ *
+ * Without either the reporter is a no‑op, so the deck behaves exactly
+ * as before when opened on its own.  Passing `?lms=mock` installs an
+ * in‑page mock SCORM API that logs every call to the console, which
+ * makes it possible to check the reporting without a real LMS.
+ *
+ * All reporters share the same small interface: `start()`,
+ * `recordDecision()`, `recordAnswer()`, `finish()`, `terminate()` and
+ * `passMark()`.  A session reports one result: calls to `finish()`
+ * after the first are ignored, so a kiosk starting over for its next
+ * learner never overwrites the attempt.
+ *
+ * The pass mark is a percentage taken from `?passmark=`, then from the
+ * LMS mastery score when SCORM provides one, then from the fallback
+ * the page passes in (the question bank's own pass mark), and defaults
+ * to 80.  The deck uses the same pass mark to decide whether the quiz
+ * was passed.
+ */
+const LmsReporter = (() => {
+  const DEFAULT_PASS_MARK = 80;
+  const XAPI_VERSION = '1.0.3';
+  const VERBS = {
+    initialized: 'http://adlnet.gov/expapi/verbs/initialized',
+    answered: 'http://adlnet.gov/expapi/verbs/answered',
+    passed: 'http://adlnet.gov/expapi/verbs/passed',
+    failed: 'http://adlnet.gov/expapi/verbs/failed'
+  };
+
+  // Parse a percentage between 0 and 100, returning null when the
+  // value is missing or out of range.
+  const parsePercent = (value) => {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 && number <= 100 ? number : null;
+  };
+
+  // Percentage score rounded to a whole number, as both standards
+  // expect.
+  const toPercent = (score, max) => (max > 0 ? Math.round((score / max) * 100) : 0);
+
+  // Whether a score reaches the pass mark.  The unrounded ratio is
+  // compared, so 69.5% fails a pass mark of 70 here just as it does on
+  // the quiz scoreboard.
+  const hasPassed = (score, max, passMark) => max > 0 && (score / max) * 100 >= passMark;
+
+  // SCORM 1.2 wants session time as HHHH:MM:SS.
+  const formatScormTime = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = String(Math.floor(totalSeconds / 3600)).padStart(4, '0');
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${hours}:${minutes}:${seconds}`;
+  };
+
+  // Walk up the frame hierarchy (and then the opener's) looking for the
+  // SCORM 1.2 `API` object, as described in the SCORM run‑time
+  // environment guide.  Cross‑origin frames throw on access and are
+  // treated as "not found".
+  const findScormApi = (win = window) => {
+    const search = (start) => {
+      let current = start;
+      for (let depth = 0; current && depth < 10; depth++) {
+        try {
+          if (current.API) return current.API;
+        } catch (err) {
+          return null;
+        }
+        if (current.parent === current) break;
+        current = current.parent;
+      }
+      return null;
+    };
+    return search(win) || (win.opener ? search(win.opener) : null);
+  };
+
+  // Mock SCORM 1.2 API used with `?lms=mock`.  It keeps the data model
+  // in a plain object and logs every call, which is enough to watch
+  // the reporting flow in the browser console.
+  const createMockScormApi = (log = console.info) => {
+    const data = { 'cmi.core.lesson_status': 'not attempted', 'cmi.interactions._count': '0' };
+    const calls = [];
+    const record = (name, args, result) => {
+      calls.push({ name, args });
+      log(`[mock LMS] ${name}(${args.map((arg) => JSON.stringify(arg)).join(', ')}) → ${result}`);
+      return result;
+    };
+    return {
+      data,
+      calls,
+      LMSInitialize: (...args) => record('LMSInitialize', args, 'true'),
+      LMSFinish: (...args) => record('LMSFinish', args, 'true'),
+      LMSCommit: (...args) => record('LMSCommit', args, 'true'),
+      LMSGetValue: (key) => record('LMSGetValue', [key], data[key] !== undefined ? data[key] : ''),
+      LMSSetValue: (key, value) => {
+        data[key] = String(value);
+        const match = /^cmi\.interactions\.(\d+)\./.exec(key);
+        if (match) {
+          const count = Math.max(Number(data['cmi.interactions._count']), Number(match[1]) + 1);
+          data['cmi.interactions._count'] = String(count);
+        }
+        return record('LMSSetValue', [key, value], 'true');
+      },
+      LMSGetLastError: () => '0',
+      LMSGetErrorString: () => 'No error',
+      LMSGetDiagnostic: () => ''
+    };
+  };
+
+  // Pick the pass mark from an explicit value, then the fallback,
+  // then the default.
+  const choosePassMark = (...candidates) => {
+    const found = candidates.map(parsePercent).find((value) => value !== null);
+    return found !== undefined ? found : DEFAULT_PASS_MARK;
+  };
+
+  // Reporter used when no LMS is present.  Every method is a no‑op
+  // apart from resolving the pass mark.
+  const createNoopReporter = ({ passMark = null } = {}) => ({
+    type: 'none',
+    start: () => {},
+    recordDecision: () => {},
+    recordAnswer: () => {},
+    finish: () => {},
+    terminate: () => {},
+    passMark: (fallback = null) => choosePassMark(passMark, fallback)
+  });
+
+  // Reporter speaking SCORM 1.2 to the given API object.  Each
+  // decision and answer becomes an entry in `cmi.interactions`.
+  const createScormReporter = (api, { passMark = null, now = () => Date.now() } = {}) => {
+    let active = false;
+    let finished = false;
+    let startedAt = 0;
+    let interactionIndex = 0;
+
+    const set = (key, value) => api.LMSSetValue(key, String(value));
+
+    const resolvePassMark = (fallback = null) => choosePassMark(
+      passMark,
+      active ? api.LMSGetValue('cmi.student_data.mastery_score') : null,
+      fallback
+    );
+
+    const recordInteraction = ({ id, response, correctResponse, correct }) => {
+      if (!active) return;
+      const prefix = `cmi.interactions.${interactionIndex++}`;
+      set(`${prefix}.id`, id);
+      set(`${prefix}.type`, 'performance');
+      set(`${prefix}.student_response`, String(response).slice(0, 255));
+      if (correctResponse !== undefined) {
+        set(`${prefix}.correct_responses.0.pattern`, String(correctResponse).slice(0, 255));
+      }
+      set(`${prefix}.result`, correct ? 'correct' : 'wrong');
+      set(`${prefix}.time`, new Date(now()).toTimeString().slice(0, 8));
+      api.LMSCommit('');
+    };
+
+    return {
+      type: 'scorm',
+      start: () => {
+        if (active) return;
+        active = String(api.LMSInitialize('')) === 'true';
+        if (!active) return;
+        startedAt = now();
+        interactionIndex = Number(api.LMSGetValue('cmi.interactions._count')) || 0;
+        const status = api.LMSGetValue('cmi.core.lesson_status');
+        if (status === '' || status === 'not attempted') {
+          set('cmi.core.lesson_status', 'incomplete');
+        }
+        api.LMSCommit('');
+      },
+      recordDecision: ({ id, choice, correct }) => {
+        recordInteraction({ id, response: choice, correct });
+      },
+      recordAnswer: ({ id, response, correctResponse, correct }) => {
+        recordInteraction({ id, response, correctResponse, correct });
+      },
+      // `passMark` is the fallback pass mark, as for passMark().
+      finish: ({ score, max, passMark: fallback = null }) => {
+        if (!active || finished) return;
+        finished = true;
+        const percent = toPercent(score, max);
+        set('cmi.core.score.min', 0);
+        set('cmi.core.score.max', 100);
+        set('cmi.core.score.raw', percent);
+        set('cmi.core.lesson_status', hasPassed(score, max, resolvePassMark(fallback)) ? 'passed' : 'failed');
+        api.LMSCommit('');
+      },
+      terminate: () => {
+        if (!active) return;
+        set('cmi.core.session_time', formatScormTime(now() - startedAt));
+        api.LMSCommit('');
+        api.LMSFinish('');
+        active = false;
+      },
+      passMark: resolvePassMark
+    };
+  };
+
+  // Reporter sending xAPI statements to an LRS.  Failures are logged
+  // and otherwise ignored so a flaky LRS never blocks the learner.
+  const createXapiReporter = ({ endpoint, auth, actor, activityId, registration }, {
+    passMark = null,
+    now = () => Date.now(),
+    send = (url, init) => fetch(url, init)
+  } = {}) => {
+    const statementsUrl = `${endpoint.replace(/\/?$/, '/')}statements`;
+    let started = false;
+    let finished = false;
+
+    const post = (verb, object, result) => {
+      const statement = {
+        actor,
+        verb: { id: VERBS[verb], display: { 'en-US': verb } },
+        object,
+        timestamp: new Date(now()).toISOString()
+      };
+      if (result) statement.result = result;
+      if (registration) statement.context = { registration };
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Experience-API-Version': XAPI_VERSION
+      };
+      if (auth) headers.Authorization = auth;
+      return Promise.resolve()
+        .then(() => send(statementsUrl, { method: 'POST', headers, body: JSON.stringify(statement), keepalive: true }))
+        .then((response) => {
+          if (response && response.ok === false) {
+            console.warn(`xAPI statement rejected with status ${response.status}.`);
+          }
+        })
+        .catch((err) => console.warn('Could not send xAPI statement.', err));
+    };
+
+    const courseActivity = { objectType: 'Activity', id: activityId };
+    const interactionActivity = (id) => ({
+      objectType: 'Activity',
+      id: `${activityId}/interactions/${encodeURIComponent(id)}`,
+      definition: {
+        type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+        interactionType: 'other'
+      }
+    });
+
+    return {
+      type: 'xapi',
+      start: () => {
+        if (started) return;
+        started = true;
+        post('initialized', courseActivity);
+      },
+      recordDecision: ({ id, choice, correct }) => {
+        post('answered', interactionActivity(id), { response: String(choice), success: Boolean(correct) });
+      },
+      recordAnswer: ({ id, response, correct }) => {
+        post('answered', interactionActivity(id), { response: String(response), success: Boolean(correct) });
+      },
+      // `passMark` is the fallback pass mark, as for passMark().
+      finish: ({ score, max, passMark: fallback = null }) => {
+        if (finished) return;
+        finished = true;
+        const passed = hasPassed(score, max, choosePassMark(passMark, fallback));
+        post(passed ? 'passed' : 'failed', courseActivity, {
+          score: { raw: score, min: 0, max, scaled: max > 0 ? score / max : 0 },
+          success: passed,
+          completion: true
+        });
+      },
+      terminate: () => {},
+      passMark: (fallback = null) => choosePassMark(passMark, fallback)
+    };
+  };
+
+  // Read the xAPI launch parameters from the URL.  Returns null when
+  // no endpoint was supplied.
+  const readXapiLaunch = (params, win) => {
+    const endpoint = params.get('endpoint');
+    if (!endpoint) return null;
+    let actor = null;
+    try {
+      actor = JSON.parse(params.get('actor') || 'null');
+    } catch (err) {
+      console.warn('Ignoring malformed xAPI actor parameter.', err);
+    }
+    if (!actor) {
+      actor = { objectType: 'Agent', account: { homePage: win.location.origin, name: 'anonymous' } };
+    }
+    return {
+      endpoint,
+      auth: params.get('auth'),
+      actor,
+      activityId: params.get('activity_id') || `${win.location.origin}${win.location.pathname}`,
+      registration: params.get('registration')
+    };
+  };
+
+  // Pick the reporter for the current launch.  An explicit `api`
+  // option takes precedence over detection, which keeps the reporter
+  // easy to drive from a mock object.
+  const connect = ({ win = window, search = win.location.search, api = null } = {}) => {
+    const params = new URLSearchParams(search);
+    const passMark = parsePercent(params.get('passmark'));
+    let scormApi = api;
+    if (!scormApi && params.get('lms') === 'mock') {
+      scormApi = createMockScormApi();
+    }
+    if (!scormApi) {
+      scormApi = findScormApi(win);
+    }
+    if (scormApi) {
+      return createScormReporter(scormApi, { passMark });
+    }
+    const xapi = readXapiLaunch(params, win);
+    if (xapi) {
+      return createXapiReporter(xapi, { passMark });
+    }
+    return createNoopReporter({ passMark });
+  };
+
+  return {
+    DEFAULT_PASS_MARK,
+    hasPassed,
+    connect,
+    findScormApi,
+    createMockScormApi,
+    createNoopReporter,
+    createScormReporter,
+    createXapiReporter
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LmsReporter;
+}
@@ -0,0 +1,584 @@
+/*
+ * "Decision on the monitor" scenes.  Scene 1 used to be a single
+ * hard‑wired choice between locking the screen and doing nothing; the
+ * same monitor, typed prompt, shake and success/error overlays now
+ * serve any scenario described in `scenarios.json`, such as a
+ * suspicious email popping up or a USB prompt appearing.
+ *
+ * Each scenario gives the prompt typed onto the screen, two to four
+ * actions (exactly one of them correct) with their labels, icons and
+ * colour, and the title, text and icon of the success and failure
+ * overlays:
+ *
+ *   {
+ *     "id": "usb-prompt",
+ *     "title": "Unknown USB drive",
+ *     "prompt": "A window asks to open the files on a USB drive…",
+ *     "actions": [
+ *       { "id": "eject", "label": "Eject it", "icon": "usb", "tone": "primary", "correct": true },
+ *       { "id": "open", "label": "Open files", "icon": "cross", "tone": "danger", "correct": false }
+ *     ],
+ *     "success": { "icon": "shield", "title": "Good call", "text": "…" },
+ *     "failure": { "icon": "warning", "title": "Hold on!", "text": "…", "retry": "Try again" }
+ *   }
+ *
+ * A scenario may also give `"audio": "<file>"`, a recording of the
+ * prompt for the narrator to play instead of reading it out (see
+ * narration.js).
+ *
+ * A scene opts in with `data-monitor-scenario="<id>"` on its element;
+ * the markup is copied from the `#monitor-scene-template` template in
+ * `index.html` and filled in from the scenario.  Like question banks,
+ * the file can be translated by placing `scenarios.<lang>.json` beside
+ * it, and it is validated as soon as it is fetched, with every problem
+ * collected into a `MonitorSceneError`.
+ */
+const MonitorScene = (() => {
+  const DEFAULT_PATH = 'scenarios.json';
+  const MIN_ACTIONS = 2;
+  const MAX_ACTIONS = 4;
+  const TONES = ['primary', 'danger', 'neutral'];
+
+  // Error raised when the scenarios file cannot be fetched, parsed or
+  // validated.  `problems` lists every individual issue found.
+  class MonitorSceneError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'MonitorSceneError';
+      this.problems = problems;
+    }
+  }
+
+  const stroke = (d) => `<path d="${d}" stroke="currentColor" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round" />`;
+
+  // Icons available to actions and overlays, drawn on a 24×24 grid
+  // with strokes only so they scale cleanly and take the text colour.
+  const ICONS = {
+    lock: '<rect x="6" y="10" width="12" height="10" rx="2" fill="none" stroke="currentColor" stroke-width="2" />' +
+      '<path d="M8 10V8a4 4 0 1 1 8 0v2" stroke="currentColor" stroke-width="2" fill="none" />',
+    cross: '<line x1="6" y1="6" x2="18" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round" />' +
+      '<line x1="18" y1="6" x2="6" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round" />',
+    check: stroke('M5 13l4 4L19 7'),
+    mail: stroke('M4 6h16v12H4z') + stroke('M4 7l8 6 8-6'),
+    usb: stroke('M9 3h6v5H9z') + stroke('M7 8h10v8a5 5 0 0 1-5 5 5 5 0 0 1-5-5z'),
+    flag: stroke('M6 21V4') + stroke('M6 4h11l-2 4 2 4H6'),
+    trash: stroke('M4 7h16') + stroke('M9 7V4h6v3') + stroke('M6 7l1 13h10l1-13'),
+    link: stroke('M10 14a4 4 0 0 0 5.7 0l3-3a4 4 0 0 0-5.7-5.7l-1 1') +
+      stroke('M14 10a4 4 0 0 0-5.7 0l-3 3a4 4 0 0 0 5.7 5.7l1-1'),
+    shield: stroke('M12 3l7 3v5c0 5-3.5 8.5-7 10-3.5-1.5-7-5-7-10V6z'),
+    warning: '<path d="M12 2L2 22h20L12 2z" fill="currentColor" opacity="0.15" />' +
+      '<path d="M12 8v6" stroke="currentColor" stroke-width="2" stroke-linecap="round" />' +
+      '<circle cx="12" cy="17" r="1.5" fill="currentColor" />'
+  };
+
+  // The success badge can also show the animated padlock, whose parts
+  // are styled and animated separately in style.css.
+  const PADLOCK = '<svg width="36" height="40" viewBox="0 0 36 40" aria-hidden="true">' +
+    '<path class="lockb" d="M27 27C27 34.1797 21.1797 40 14 40C6.8203 40 1 34.1797 1 27C1 19.8203 6.8203 14 14 14C21.1797 14 27 19.8203 27 27ZM15.6298 26.5191C16.4544 25.9845 17 25.056 17 24C17 22.3431 15.6569 21 14 21C12.3431 21 11 22.3431 11 24C11 25.056 11.5456 25.9845 12.3702 26.5191L11 32H17L15.6298 26.5191Z" />' +
+    '<path class="lock" d="M6 21V10C6 5.58172 9.58172 2 14 2V2C18.4183 2 22 5.58172 22 10V21" />' +
+    '<path class="bling" d="M29 20L31 22" />' +
+    '<path class="bling" d="M31.5 15H34.5" />' +
+    '<path class="bling" d="M29 10L31 8" />' +
+    '</svg>';
+
+  const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+  const checkIcon = (icon, label, problems, extra = []) => {
+    if (icon !== undefined && !Object.prototype.hasOwnProperty.call(ICONS, icon) && !extra.includes(icon)) {
+      problems.push(`${label} uses the unknown icon "${icon}".`);
+    }
+  };
+
+  // Check an overlay entry (`success` or `failure`).
+  const validateOverlay = (overlay, label, problems, extraIcons) => {
+    if (!overlay || typeof overlay !== 'object') {
+      problems.push(`${label} is missing.`);
+      return;
+    }
+    if (!isNonEmptyString(overlay.title)) {
+      problems.push(`${label} has no title.`);
+    }
+    if (!isNonEmptyString(overlay.text)) {
+      problems.push(`${label} has no text.`);
+    }
+    checkIcon(overlay.icon, label, problems, extraIcons);
+  };
+
+  // Check the structure of a parsed scenarios file.  Returns an array
+  // of human‑readable problems; an empty array means it is valid.
+  const validate = (config) => {
+    const problems = [];
+    if (!config || typeof config !== 'object' || !Array.isArray(config.scenarios)) {
+      problems.push('The file must contain a "scenarios" array.');
+      return problems;
+    }
+    const seenIds = new Set();
+    config.scenarios.forEach((scenario, sIndex) => {
+      const label = `Scenario ${sIndex + 1}`;
+      if (!scenario || typeof scenario !== 'object') {
+        problems.push(`${label} is not an object.`);
+        return;
+      }
+      if (!isNonEmptyString(scenario.id)) {
+        problems.push(`${label} is missing an "id".`);
+      } else if (seenIds.has(scenario.id)) {
+        problems.push(`${label} reuses the id "${scenario.id}".`);
+      } else {
+        seenIds.add(scenario.id);
+      }
+      if (!isNonEmptyString(scenario.prompt)) {
+        problems.push(`${label} has no prompt text.`);
+      }
+      if (scenario.audio !== undefined && !isNonEmptyString(scenario.audio)) {
+        problems.push(`${label} has an "audio" entry that is not a file name.`);
+      }
+      const actions = scenario.actions;
+      if (!Array.isArray(actions) || actions.length < MIN_ACTIONS || actions.length > MAX_ACTIONS) {
+        problems.push(`${label} needs between ${MIN_ACTIONS} and ${MAX_ACTIONS} actions.`);
+      } else {
+        const actionIds = new Set();
+        let correctCount = 0;
+        actions.forEach((action, aIndex) => {
+          const actionLabel = `${label}, action ${aIndex + 1}`;
+          if (!action || typeof action !== 'object') {
+            problems.push(`${actionLabel} is not an object.`);
+            return;
+          }
+          if (!isNonEmptyString(action.id)) {
+            problems.push(`${actionLabel} is missing an "id".`);
+          } else if (actionIds.has(action.id)) {
+            problems.push(`${actionLabel} reuses the id "${action.id}".`);
+          } else {
+            actionIds.add(action.id);
+          }
+          if (!isNonEmptyString(action.label)) {
+            problems.push(`${actionLabel} has no label.`);
+          }
+          if (action.tone !== undefined && !TONES.includes(action.tone)) {
+            problems.push(`${actionLabel} has the unknown tone "${action.tone}".`);
+          }
+          checkIcon(action.icon, actionLabel, problems);
+          if (typeof action.correct !== 'boolean') {
+            problems.push(`${actionLabel} must set "correct" to true or false.`);
+          } else if (action.correct) {
+            correctCount++;
+          }
+        });
+        if (correctCount !== 1) {
+          problems.push(`${label} must have exactly one correct action (found ${correctCount}).`);
+        }
+      }
+      validateOverlay(scenario.success, `${label}, "success"`, problems, ['padlock']);
+      validateOverlay(scenario.failure, `${label}, "failure"`, problems);
+    });
+    return problems;
+  };
+
+  // Fetch, parse and validate the scenarios, preferring the
+  // translation for `lang` when there is one (see content-loader.js).
+  // Resolves with the parsed file; rejects with a MonitorSceneError.
+  const load = async (path = DEFAULT_PATH, lang = null) => {
+    const { content } = await ContentLoader.load(path, {
+      lang,
+      what: 'the scenarios',
+      plural: true,
+      validate,
+      ContentError: MonitorSceneError
+    });
+    return content;
+  };
+
+  const find = (config, id) => config.scenarios.find((scenario) => scenario.id === id) || null;
+
+  // Fill a scene element with a copy of the monitor template and the
+  // scenario's prompt, actions and overlay copy.  Ids inside the copy
+  // are prefixed with the scene's id so several monitor scenes can
+  // live in one page.
+  const render = (element, scenario) => {
+    const template = document.getElementById('monitor-scene-template');
+    if (!template) {
+      throw new MonitorSceneError('The page has no #monitor-scene-template.');
+    }
+    element.innerHTML = '';
+    element.appendChild(template.content.cloneNode(true));
+
+    const buttons = element.querySelector('.card-buttons');
+    if (buttons) {
+      buttons.dataset.count = String(scenario.actions.length);
+      scenario.actions.forEach((action) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `btn tone-${action.tone || 'neutral'}`;
+        btn.dataset.action = action.id;
+        if (action.icon) {
+          btn.innerHTML = `<svg class="btn-icon" viewBox="0 0 24 24" aria-hidden="true">${ICONS[action.icon]}</svg>`;
+        }
+        const label = document.createElement('span');
+        label.textContent = action.label;
+        btn.appendChild(label);
+        buttons.appendChild(btn);
+      });
+    }
+
+    const toggle = element.querySelector('.success-toggle');
+    const badge = element.querySelector('.btn-lock');
+    if (toggle && badge) {
+      toggle.id = `${element.id}-success-toggle`;
+      badge.htmlFor = toggle.id;
+      const icon = scenario.success.icon || 'padlock';
+      badge.innerHTML = icon === 'padlock'
+        ? PADLOCK
+        : `<svg class="badge-icon" viewBox="0 0 24 24" aria-hidden="true">${ICONS[icon]}</svg>`;
+    }
+    const lockedText = element.querySelector('.locked-text');
+    if (lockedText) lockedText.textContent = scenario.success.title;
+    const lockedSubtext = element.querySelector('.locked-subtext');
+    if (lockedSubtext) lockedSubtext.textContent = scenario.success.text;
+
+    const errorOverlay = element.querySelector('.error-overlay-new');
+    const errorIcon = element.querySelector('.error-icon');
+    const errorTitle = element.querySelector('.error-popup-title');
+    const errorText = element.querySelector('.error-popup-text');
+    const retryBtn = element.querySelector('.retry-btn');
+    if (errorIcon) errorIcon.innerHTML = ICONS[scenario.failure.icon || 'warning'];
+    if (errorTitle) {
+      errorTitle.id = `${element.id}-error-title`;
+      errorTitle.textContent = scenario.failure.title;
+    }
+    if (errorText) {
+      errorText.id = `${element.id}-error-text`;
+      errorText.textContent = scenario.failure.text;
+    }
+    if (errorOverlay && errorTitle && errorText) {
+      errorOverlay.setAttribute('aria-labelledby', errorTitle.id);
+      errorOverlay.setAttribute('aria-describedby', errorText.id);
+    }
+    if (retryBtn) {
+      retryBtn.textContent = isNonEmptyString(scenario.failure.retry)
+        ? scenario.failure.retry
+        : I18n.t('monitor.retry');
+    }
+  };
+
+  // Show why a monitor scene could not be built in place of the scene.
+  const renderError = (element, err) => {
+    element.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'scene-error';
+    panel.setAttribute('role', 'alert');
+    const title = document.createElement('p');
+    title.className = 'scene-error-title';
+    title.textContent = err && err.message ? err.message : I18n.t('monitor.loadError');
+    panel.appendChild(title);
+    const problems = (err && err.problems) || [];
+    if (problems.length) {
+      const list = document.createElement('ul');
+      list.className = 'scene-error-list';
+      problems.forEach((problem) => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+    }
+    element.appendChild(panel);
+  };
+
+  // Build the deck `setup` function for a scenario (see deck.js).
+  // `onDecision(action)` is called with every action the learner
+  // picks and `onRetried()` when they dismiss the failure overlay to
+  // try again, `announce(message)` reports the outcome to screen
+  // readers and `reducedMotion` is the media query that turns the
+  // shake off.  `animator` runs the tweens and `typer(element,
+  // options)` types the prompt; they default to GSAP and Typed.js and
+  // only need the calls used here, so the tests pass instant fakes.
+  // `narrator` (see narration.js) reads the prompt out as it is typed
+  // and plays the success and error sounds.
+  //
+  // The learner reads the typed prompt and picks an action.  The
+  // correct one shows the success overlay and completes the scene;
+  // any other shakes the monitor and shows the failure overlay until
+  // they retry.  Nothing animates until the deck enters the scene;
+  // leaving it tears everything down again so the intro replays on
+  // every visit.
+  const setup = (scenario, {
+    onDecision = () => {},
+    onRetried = () => {},
+    announce = () => {},
+    reducedMotion = { matches: false },
+    animator = gsap,
+    typer = (element, options) => new Typed(element, options),
+    narrator = { say: () => {}, cue: () => {}, stop: () => {} }
+  } = {}) => (scene, { complete }) => {
+    render(scene, scenario);
+
+    // The monitor wrapper is animated into view when the scene is entered
+    const monitorWrapper = scene.querySelector('.monitor-wrapper');
+    // Grab the inner container used exclusively for the shake effect.  By
+    // separating the element that gets the shake animation from the
+    // wrapper responsible for centring, we avoid overriding
+    // transform values that would otherwise shift the monitor out of
+    // position.
+    const monitorShakeContainer = scene.querySelector('.monitor-shake-container');
+    const card = scene.querySelector('.card');
+    const typedText = scene.querySelector('.typed-text');
+    const actionButtons = [...scene.querySelectorAll('.card-buttons .btn')];
+    const lockedOverlay = scene.querySelector('.locked-overlay');
+    const errorOverlayNew = scene.querySelector('.error-overlay-new');
+    const lockedText = scene.querySelector('.locked-text');
+    // Elements that reinforce positive feedback when the correct
+    // action is selected.  Always check for existence before
+    // animating.
+    const successCheck = scene.querySelector('.success-check');
+    const lockedSubtext = scene.querySelector('.locked-subtext');
+
+    const successToggle = scene.querySelector('.success-toggle');
+    const retryBtn = scene.querySelector('.retry-btn');
+    const lockedContent = scene.querySelector('.locked-content');
+    const errorPopupText = scene.querySelector('.error-popup-text');
+    // Visually hidden copy of the prompt.  The typed span is hidden
+    // from assistive technology so the prompt is not read out one
+    // letter at a time.
+    const promptLabel = scene.querySelector('.typed-text-label');
+    const promptText = scenario.prompt;
+
+    // Every GSAP tween and delayed call belongs to this context.
+    // Reverting it on exit kills anything still running and restores
+    // the inline styles the animations changed, leaving the scene as
+    // it was first rendered.
+    const animations = animator.context(() => {});
+    // Typed instance for the current visit; recreated on every enter.
+    let typed = null;
+
+    // Helper to disable buttons
+    const disableButtons = (state) => {
+      actionButtons.forEach((btn) => {
+        btn.disabled = state;
+      });
+    };
+
+    // Reveal an overlay to assistive technology and take the card out
+    // of the tab order and accessibility tree while it is covered.
+    const setOverlayVisible = (overlay, visible) => {
+      overlay.setAttribute('aria-hidden', visible ? 'false' : 'true');
+      card.inert = visible;
+    };
+
+    // Sequence executed when the correct action is chosen
+    const runSuccessSequence = () => {
+      disableButtons(true);
+      // Move focus into the overlay so the success message is read
+      // in context rather than from the now hidden button.
+      setOverlayVisible(lockedOverlay, true);
+      if (lockedContent) {
+        lockedContent.focus({ preventScroll: true });
+      }
+      announce(`${lockedText.textContent}. ${lockedSubtext ? lockedSubtext.textContent : ''}`);
+      // Ensure the toggle starts unchecked so the badge appears in
+      // its "unlocked" colour before the animation plays.  When the
+      // overlay fades in we will check the toggle to trigger the
+      // micro‑interaction.  Resetting the toggle here prevents it
+      // from retaining a checked state across multiple runs.
+      if (successToggle) {
+        successToggle.checked = false;
+      }
+      const tl = animator.timeline();
+      // Shrink and fade out the card to reveal the overlay beneath.
+      tl.to(card, { duration: 0.5, scale: 0.85, opacity: 0, ease: 'power2.inOut' });
+      // Fade in the locked overlay.  When the overlay begins to fade
+      // in we toggle the hidden checkbox to start the micro
+      // animation on the badge.
+      tl.to(lockedOverlay, {
+        duration: 0.6,
+        opacity: 1,
+        ease: 'power2.out',
+        onStart: () => {
+          narrator.cue('success');
+          // Delay the toggle change slightly to allow the user to
+          // perceive the red "unlock" state of the badge for a brief
+          // moment before it animates to locked.  The delayed call is
+          // scheduled via GSAP for consistency with the rest of the
+          // timeline, inside the scene's animation context so that
+          // leaving the scene cancels it.
+          animations.add(() => {
+            animator.delayedCall(0.4, () => {
+              if (successToggle) {
+                successToggle.checked = true;
+              }
+            });
+          });
+        }
+      }, '-=0.3');
+      // Fade in the success title
+      tl.fromTo(lockedText, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.6, ease: 'power2.out' }, '-=0.4');
+      // Animate the success checkmark if present
+      if (successCheck) {
+        tl.fromTo(successCheck, { opacity: 0, scale: 0.5, transformOrigin: '50% 50%' }, { opacity: 1, scale: 1, duration: 0.6, ease: 'elastic.out(1, 0.6)' }, '-=0.4');
+      }
+      // Animate the subtext if present
+      if (lockedSubtext) {
+        tl.fromTo(lockedSubtext, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.6, ease: 'power2.out' }, '-=0.3');
+      }
+      // The correct action completes the scene and unlocks the next
+      // slide.
+      complete();
+    };
+
+    // Sequence executed when a wrong action is chosen
+    const runErrorSequence = () => {
+      // When the wrong choice is selected, display the error overlay and
+      // keep it visible until the user dismisses it via the retry
+      // button.  The card is faded out and slightly shrunk to hint
+      // that the underlying interface is still present.  A shake
+      // animation reinforces the mistake.
+      disableButtons(true);
+      narrator.cue('error');
+      // Shrink the card and fade it to make room for the error overlay
+      animator.to(card, { duration: 0.3, scale: 0.92, opacity: 0, ease: 'power1.inOut' });
+      // Fade in the error overlay
+      animator.to(errorOverlayNew, { duration: 0.4, opacity: 1, ease: 'power2.out' });
+      setOverlayVisible(errorOverlayNew, true);
+      // Apply a shake to the monitor while the error appears, unless
+      // the learner prefers reduced motion
+      if (monitorShakeContainer && !reducedMotion.matches) {
+        monitorShakeContainer.classList.add('shake');
+        // Remove the shake class after the animation duration
+        animator.delayedCall(0.7, () => {
+          monitorShakeContainer.classList.remove('shake');
+        });
+      }
+      // Add a one‑time click handler to the retry button.  When
+      // clicked, the overlay will fade out and the card will return
+      // to its original state.  Buttons are re‑enabled once the
+      // animation completes.
+      if (retryBtn) {
+        // Ensure the overlay is interactive while visible
+        errorOverlayNew.style.pointerEvents = 'auto';
+        retryBtn.addEventListener('click', onRetry);
+        // Focus the only way forward; the overlay is an alert dialog
+        // so its title and message are read out with it.
+        retryBtn.focus({ preventScroll: true });
+      }
+      if (errorPopupText) {
+        announce(errorPopupText.textContent);
+      }
+    };
+
+    // Fade the error overlay out and restore the card.  Declared at
+    // scene level so exit() can unbind it if the learner leaves while
+    // the error is showing.
+    const onRetry = () => {
+      // Remove this handler to avoid multiple bindings
+      retryBtn.removeEventListener('click', onRetry);
+      onRetried();
+      animations.add(() => {
+        const tl = animator.timeline({ onComplete: () => {
+          // Disable pointer events on the overlay once hidden and
+          // re‑enable the card buttons
+          errorOverlayNew.style.pointerEvents = 'none';
+          disableButtons(false);
+          setOverlayVisible(errorOverlayNew, false);
+          // Return focus to the first action so the learner can
+          // reconsider from the top
+          if (actionButtons[0]) {
+            actionButtons[0].focus({ preventScroll: true });
+          }
+        } });
+        tl.to(errorOverlayNew, { duration: 0.4, opacity: 0, ease: 'power1.inOut' });
+        tl.to(card, { duration: 0.4, scale: 1, opacity: 1, ease: 'power2.out' }, '-=0.3');
+      });
+    };
+
+    // Button click handlers.  The sequences run inside the animation
+    // context so their timelines are cleaned up on exit.
+    actionButtons.forEach((btn) => {
+      const action = scenario.actions.find((candidate) => candidate.id === btn.dataset.action);
+      btn.addEventListener('click', () => {
+        onDecision(action);
+        animations.add(action.correct ? runSuccessSequence : runErrorSequence);
+      });
+    });
+
+    // Lifecycle hooks called by the deck controller.
+    return {
+      // Animate the monitor and card in, then type the prompt and
+      // reveal the buttons once typing finishes.
+      enter: () => {
+        animations.add(() => {
+          if (monitorWrapper) {
+            animator.from(monitorWrapper, { duration: 1.0, y: 50, scale: 0.9, opacity: 0, ease: 'back.out(1.7)' });
+          }
+          animator.from(card, { duration: 0.8, scale: 0.8, opacity: 0, ease: 'back.out(1.5)' });
+        });
+        if (promptLabel) {
+          promptLabel.textContent = promptText;
+        }
+        narrator.say(promptText, { audio: scenario.audio });
+        typed = typer(typedText, {
+          strings: [promptText],
+          typeSpeed: 40,
+          backSpeed: 0,
+          showCursor: false,
+          onComplete: () => {
+            // Animate the buttons into view once typing finishes.
+            // Use fromTo rather than from to ensure the final state
+            // overrides the initial opacity/transform set in CSS.  This
+            // prevents the buttons from remaining hidden when the
+            // animation completes.
+            animations.add(() => {
+              animator.fromTo(actionButtons,
+                { y: 30, opacity: 0 },
+                { duration: 0.6, y: 0, opacity: 1, stagger: 0.15, ease: 'back.out(1.6)' }
+              );
+            });
+          }
+        });
+      },
+      // Stop typing and narration and kill every running tween and
+      // delayed call.
+      exit: () => {
+        narrator.stop();
+        if (typed) {
+          typed.destroy();
+          typed = null;
+        }
+        animations.revert();
+        if (retryBtn) {
+          retryBtn.removeEventListener('click', onRetry);
+        }
+      },
+      // Put the DOM back into its initial, pre‑interaction state.
+      reset: () => {
+        disableButtons(false);
+        if (typedText) {
+          typedText.textContent = '';
+        }
+        if (successToggle) {
+          successToggle.checked = false;
+        }
+        if (monitorShakeContainer) {
+          monitorShakeContainer.classList.remove('shake');
+        }
+        errorOverlayNew.style.pointerEvents = '';
+        setOverlayVisible(lockedOverlay, false);
+        setOverlayVisible(errorOverlayNew, false);
+      }
+    };
+  };
+
+  return {
+    DEFAULT_PATH,
+    ICONS,
+    MonitorSceneError,
+    validate,
+    load,
+    find,
+    render,
+    renderError,
+    setup
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MonitorScene;
+}
@@ -0,0 +1,248 @@
+/*
+ * Narration, sound cues and captions for learners who find reading on
+ * screen hard.  Scenes hand text to `say()`: the scene 1 prompt as it
+ * is typed, and the scene 2 scenario and explanation of each card.
+ * Content may point at a pre‑recorded file for any of these with an
+ * `audio` entry (see monitor-scene.js and question-bank.js); text
+ * without one, or whose file cannot be played, is read out with the
+ * browser's speech synthesis when there is one.  While something is
+ * read out its text is shown as a caption, with the word being spoken
+ * highlighted.
+ *
+ * `cue('success')` and `cue('error')` play a short sound alongside the
+ * visual feedback.  The tones are generated with the Web Audio API, so
+ * there are no sound files to ship.
+ *
+ * Everything goes quiet with the mute button, and the choice is
+ * remembered on the device.  Browsers may refuse to play sound until
+ * the learner has interacted with the page; narration that is refused
+ * is simply skipped, caption included.
+ */
+const Narrator = (() => {
+  const MUTED_KEY = 'securityDeck.muted';
+
+  // The cues as `[frequency in Hz, start, length in seconds]` notes.
+  const CUES = {
+    success: { type: 'sine', notes: [[660, 0, 0.12], [880, 0.1, 0.22]] },
+    error: { type: 'triangle', notes: [[220, 0, 0.18], [165, 0.14, 0.3]] }
+  };
+  const CUE_VOLUME = 0.15;
+
+  // Resolve localStorage lazily, as in progress.js.
+  const defaultStorage = () => {
+    try {
+      return window.localStorage;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // A narrator that says nothing, used while authoring.
+  const silent = {
+    muted: true,
+    say: () => {},
+    cue: () => {},
+    stop: () => {},
+    setMuted: () => {},
+    onChange: () => {}
+  };
+
+  // Create a narrator showing captions in `caption`.  Speech is in the
+  // page language unless `lang()` says otherwise.
+  const create = ({
+    caption = null,
+    storage = defaultStorage(),
+    lang = () => document.documentElement.lang,
+    win = window
+  } = {}) => {
+    const listeners = [];
+    let muted = false;
+    try {
+      muted = Boolean(storage) && storage.getItem(MUTED_KEY) === 'true';
+    } catch (err) {
+      console.warn(`Ignoring unreadable saved data in "${MUTED_KEY}".`, err);
+    }
+    // What is playing now.  Every say() or stop() moves `current` on,
+    // so events still arriving from an earlier narration are ignored.
+    let current = 0;
+    let audio = null;
+    let speaking = false;
+    let context = null;
+
+    // Show `text` with the word starting at `index` highlighted.
+    const showCaption = (text, index) => {
+      if (!caption) return;
+      const start = text.slice(0, index).search(/\S*$/);
+      const length = text.slice(start).search(/\s|$/);
+      const word = document.createElement('mark');
+      word.textContent = text.slice(start, start + length);
+      caption.replaceChildren(text.slice(0, start), word, text.slice(start + length));
+      caption.hidden = false;
+    };
+
+    const hideCaption = () => {
+      if (!caption) return;
+      caption.hidden = true;
+      caption.replaceChildren();
+    };
+
+    // Stop any narration and take the caption down.
+    const stop = () => {
+      current++;
+      if (audio) {
+        audio.pause();
+        audio = null;
+      }
+      if (speaking && win.speechSynthesis) {
+        win.speechSynthesis.cancel();
+      }
+      speaking = false;
+      hideCaption();
+    };
+
+    // Read `text` out with speech synthesis, if the browser has it.
+    const speak = (text, id) => {
+      const synth = win.speechSynthesis;
+      if (!synth || typeof win.SpeechSynthesisUtterance !== 'function') return;
+      const utterance = new win.SpeechSynthesisUtterance(text);
+      utterance.lang = lang();
+      const primary = utterance.lang.toLowerCase().split('-')[0];
+      const voice = synth.getVoices().find((candidate) => (
+        candidate.lang && candidate.lang.toLowerCase().split('-')[0] === primary
+      ));
+      if (voice) {
+        utterance.voice = voice;
+      }
+      utterance.addEventListener('start', () => {
+        if (id === current) showCaption(text, 0);
+      });
+      utterance.addEventListener('boundary', (event) => {
+        if (id === current) showCaption(text, event.charIndex);
+      });
+      const finish = () => {
+        if (id !== current) return;
+        speaking = false;
+        hideCaption();
+      };
+      utterance.addEventListener('end', finish);
+      utterance.addEventListener('error', finish);
+      speaking = true;
+      synth.speak(utterance);
+    };
+
+    // Play a recorded file, falling back to speech if it cannot be
+    // played.  The caption follows the recording in proportion to the
+    // time played.
+    const play = (text, src, id) => {
+      const player = new win.Audio(src);
+      let failed = false;
+      const fallBack = () => {
+        if (failed || id !== current) return;
+        failed = true;
+        audio = null;
+        hideCaption();
+        speak(text, id);
+      };
+      player.addEventListener('error', fallBack);
+      player.addEventListener('playing', () => {
+        if (id === current) showCaption(text, 0);
+      });
+      player.addEventListener('timeupdate', () => {
+        if (id !== current || !player.duration) return;
+        showCaption(text, Math.floor((text.length * player.currentTime) / player.duration));
+      });
+      player.addEventListener('ended', () => {
+        if (id !== current) return;
+        audio = null;
+        hideCaption();
+      });
+      audio = player;
+      const started = player.play();
+      if (started && typeof started.catch === 'function') {
+        started.catch((err) => {
+          // Refused before any interaction with the page: speech would
+          // be refused too.
+          if (err && err.name === 'NotAllowedError') return;
+          fallBack();
+        });
+      }
+    };
+
+    // Read `text` out, from the recording at `audio` when given.  Any
+    // narration still playing is stopped first.
+    const say = (text, { audio: src = null } = {}) => {
+      stop();
+      if (muted || !text) return;
+      if (src) {
+        play(text, src, current);
+      } else {
+        speak(text, current);
+      }
+    };
+
+    // Play the `success` or `error` sound.
+    const cue = (kind) => {
+      const sound = CUES[kind];
+      const AudioContext = win.AudioContext || win.webkitAudioContext;
+      if (muted || !sound || !AudioContext) return;
+      try {
+        context = context || new AudioContext();
+        if (context.state === 'suspended') {
+          context.resume();
+        }
+        const start = context.currentTime;
+        sound.notes.forEach(([frequency, offset, length]) => {
+          const oscillator = context.createOscillator();
+          const gain = context.createGain();
+          oscillator.type = sound.type;
+          oscillator.frequency.value = frequency;
+          gain.gain.setValueAtTime(CUE_VOLUME, start + offset);
+          gain.gain.exponentialRampToValueAtTime(0.001, start + offset + length);
+          oscillator.connect(gain);
+          gain.connect(context.destination);
+          oscillator.start(start + offset);
+          oscillator.stop(start + offset + length);
+        });
+      } catch (err) {
+        console.warn(`Could not play the "${kind}" sound.`, err);
+      }
+    };
+
+    // Mute or unmute, remembering the choice on this device.
+    const setMuted = (value) => {
+      muted = Boolean(value);
+      if (muted) {
+        stop();
+      }
+      if (storage) {
+        try {
+          storage.setItem(MUTED_KEY, String(muted));
+        } catch (err) {
+          console.warn(`Could not save "${MUTED_KEY}".`, err);
+        }
+      }
+      listeners.forEach((listener) => listener(muted));
+    };
+
+    const onChange = (listener) => {
+      listeners.push(listener);
+    };
+
+    return {
+      say,
+      cue,
+      stop,
+      setMuted,
+      onChange,
+      get muted() {
+        return muted;
+      }
+    };
+  };
+
+  return { MUTED_KEY, silent, create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Narrator;
+}
@@ -0,0 +1,100 @@
+/*
+ * Learner progress persisted in localStorage.  Two records are kept:
+ *
+ *   - The in‑progress session: a deck snapshot (see deck.js) saved
+ *     after every change, so a learner who closes the tab can resume
+ *     where they left off.  Each save is stamped with the question
+ *     bank it was taken against (`path@version`); a save made against
+ *     a different bank or bank version is stale and discarded on load,
+ *     because the question ids and draw would no longer line up.
+ *   - Completion records: one entry per finished session with the
+ *     learner id (when known), score and a timestamp, so a shared
+ *     kiosk can show who has already completed the module.
+ *
+ * Storage can be unavailable (private browsing, disabled cookies or a
+ * full quota).  In that case reads return nothing and writes are
+ * dropped with a console warning; the deck itself keeps working.
+ */
+const ProgressStore = (() => {
+  const PROGRESS_KEY = 'securityDeck.progress';
+  const COMPLETIONS_KEY = 'securityDeck.completions';
+
+  // Resolve localStorage lazily; merely touching it throws in some
+  // sandboxed iframes.
+  const defaultStorage = () => {
+    try {
+      return window.localStorage;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const create = ({ storage = defaultStorage(), now = () => new Date() } = {}) => {
+    const read = (key) => {
+      if (!storage) return null;
+      try {
+        const raw = storage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+      } catch (err) {
+        console.warn(`Ignoring unreadable saved data in "${key}".`, err);
+        return null;
+      }
+    };
+
+    const write = (key, value) => {
+      if (!storage) return;
+      try {
+        storage.setItem(key, JSON.stringify(value));
+      } catch (err) {
+        console.warn(`Could not save "${key}".`, err);
+      }
+    };
+
+    // Return the saved session for `bankKey`, or null.  A save taken
+    // against another bank is removed.
+    const load = (bankKey) => {
+      const saved = read(PROGRESS_KEY);
+      if (!saved) return null;
+      if (saved.bank !== bankKey || !saved.deck) {
+        clear();
+        return null;
+      }
+      return saved;
+    };
+
+    const save = (bankKey, deck) => {
+      write(PROGRESS_KEY, { bank: bankKey, savedAt: now().toISOString(), deck });
+    };
+
+    const clear = () => {
+      if (!storage) return;
+      try {
+        storage.removeItem(PROGRESS_KEY);
+      } catch (err) {
+        console.warn(`Could not clear "${PROGRESS_KEY}".`, err);
+      }
+    };
+
+    // All completion records, oldest first.
+    const completions = () => {
+      const records = read(COMPLETIONS_KEY);
+      return Array.isArray(records) ? records : [];
+    };
+
+    // Append a completion record stamped with the current time and
+    // return it.
+    const recordCompletion = (entry) => {
+      const record = { ...entry, completedAt: now().toISOString() };
+      write(COMPLETIONS_KEY, [...completions(), record]);
+      return record;
+    };
+
+    return { load, save, clear, completions, recordCompletion };
+  };
+
+  return { create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressStore;
+}
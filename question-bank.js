@@ -0,0 +1,326 @@
+/*
+ * Question bank loader for the scene 2 flip quiz.  The scenarios,
+ * choices and feedback messages live in a JSON file next to
+ * `index.html` (`questions.json` by default) so the security team can
+ * change the quiz without touching the JavaScript.  A different file
+ * can be selected with the `?bank=` query parameter, e.g.
+ * `?scene2&bank=refresher.json`.
+ *
+ * Every bank is validated as soon as it is fetched.  Rather than
+ * stopping at the first mistake, all problems are collected so the
+ * author can fix the file in one pass; they are surfaced to the page
+ * through a `QuestionBankError`.
+ *
+ * Questions can be grouped into tagged pools (e.g. "devices",
+ * "physical access", "data handling").  When the bank has a `draw`
+ * entry each session asks only a random subset: either a number of
+ * questions per tag (`"draw": 2`) or an explicit count per tag
+ * (`"draw": { "devices": 2, "data handling": 1 }`).  Banks without a
+ * `draw` entry ask every question.
+ *
+ * A bank may also set the quiz's pass mark as a percentage
+ * (`"passMark": 75`; `?passmark=` and the LMS take precedence, see
+ * lms.js) and how many times a learner who falls short may retry the
+ * questions they missed (`"retries": 2`, the default).
+ *
+ * A choice can lead to a follow‑up card showing what happens next
+ * (`"next": "<question id>"`, e.g. holding the door for a stranger
+ * leads to them asking for the server room).  A question named by a
+ * `next` is a follow‑up: it is only asked after that choice, is never
+ * drawn on its own and needs no tag.  Every `next` must name a
+ * question in the bank, and following them must never come back to a
+ * question already on the way.
+ *
+ * Questions and choices may name a recording of their scenario text
+ * or feedback message (`"audio": "audio/tailgater.mp3"`), played by
+ * the narrator in place of reading the text out (see narration.js).
+ *
+ * A bank can be translated by placing `<name>.<lang>.json` beside it
+ * (`questions.ar.json` for Arabic).  `loadLocalised()` prefers the
+ * translation for the page language and falls back to the original
+ * when there is none.  Translations keep the ids and tags of the
+ * original so sessions and reports line up across languages.
+ */
+const QuestionBank = (() => {
+  const DEFAULT_PATH = 'questions.json';
+  const DEFAULT_RETRIES = 2;
+
+  // Error raised when a bank cannot be fetched, parsed or validated.
+  // `problems` lists every individual issue found in the file.
+  class QuestionBankError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'QuestionBankError';
+      this.problems = problems;
+    }
+  }
+
+  const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+  // Resolve the bank path from the current URL, falling back to the
+  // default file when no `bank` parameter is present.
+  const resolvePath = (search = window.location.search) => {
+    const param = new URLSearchParams(search).get('bank');
+    return isNonEmptyString(param) ? param.trim() : DEFAULT_PATH;
+  };
+
+  // Check the structure of a parsed bank.  Returns an array of
+  // human‑readable problems; an empty array means the bank is valid.
+  const validate = (bank) => {
+    const problems = [];
+    if (!bank || typeof bank !== 'object' || !Array.isArray(bank.questions)) {
+      problems.push('The file must contain a "questions" array.');
+      return problems;
+    }
+    if (bank.questions.length === 0) {
+      problems.push('The "questions" array is empty.');
+    }
+    const seenIds = new Set();
+    const followUps = followUpIds(bank);
+    bank.questions.forEach((question, qIndex) => {
+      const label = `Question ${qIndex + 1}`;
+      if (!question || typeof question !== 'object') {
+        problems.push(`${label} is not an object.`);
+        return;
+      }
+      if (!isNonEmptyString(question.id)) {
+        problems.push(`${label} is missing an "id".`);
+      } else if (seenIds.has(question.id)) {
+        problems.push(`${label} reuses the id "${question.id}".`);
+      } else {
+        seenIds.add(question.id);
+      }
+      if (question.tag !== undefined && !isNonEmptyString(question.tag)) {
+        problems.push(`${label} has an empty "tag".`);
+      } else if (bank.draw !== undefined && question.tag === undefined && !followUps.has(question.id)) {
+        problems.push(`${label} needs a "tag" because the bank uses "draw".`);
+      }
+      if (!isNonEmptyString(question.scenario)) {
+        problems.push(`${label} has no scenario text.`);
+      }
+      if (question.audio !== undefined && !isNonEmptyString(question.audio)) {
+        problems.push(`${label} has an "audio" entry that is not a file name.`);
+      }
+      if (!Array.isArray(question.choices) || question.choices.length < 2) {
+        problems.push(`${label} needs at least two choices.`);
+        return;
+      }
+      let correctCount = 0;
+      question.choices.forEach((choice, cIndex) => {
+        const choiceLabel = `${label}, choice ${cIndex + 1}`;
+        if (!choice || typeof choice !== 'object') {
+          problems.push(`${choiceLabel} is not an object.`);
+          return;
+        }
+        if (!isNonEmptyString(choice.text)) {
+          problems.push(`${choiceLabel} has no text.`);
+        }
+        if (!isNonEmptyString(choice.message)) {
+          problems.push(`${choiceLabel} has no feedback message.`);
+        }
+        if (choice.audio !== undefined && !isNonEmptyString(choice.audio)) {
+          problems.push(`${choiceLabel} has an "audio" entry that is not a file name.`);
+        }
+        if (typeof choice.correct !== 'boolean') {
+          problems.push(`${choiceLabel} must set "correct" to true or false.`);
+        } else if (choice.correct) {
+          correctCount++;
+        }
+      });
+      if (correctCount !== 1) {
+        problems.push(`${label} must have exactly one correct choice (found ${correctCount}).`);
+      }
+    });
+    problems.push(...validateBranches(bank));
+    if (bank.questions.length > 0 && drawable(bank).length === 0) {
+      problems.push('Every question is a follow‑up, so there is no first card to ask.');
+    }
+    problems.push(...validateDraw(bank));
+    if (bank.passMark !== undefined &&
+      (typeof bank.passMark !== 'number' || !(bank.passMark >= 0 && bank.passMark <= 100))) {
+      problems.push('"passMark" must be a percentage between 0 and 100.');
+    }
+    if (bank.retries !== undefined && !(Number.isInteger(bank.retries) && bank.retries >= 0)) {
+      problems.push('"retries" must be a whole number, 0 or more.');
+    }
+    return problems;
+  };
+
+  // The follow‑ups a question's choices lead to.
+  const nextIds = (question) => (question && Array.isArray(question.choices)
+    ? question.choices
+      .filter((choice) => choice && isNonEmptyString(choice.next))
+      .map((choice) => choice.next)
+    : []);
+
+  // Ids of every follow‑up question in the bank.
+  const followUpIds = (bank) => new Set(bank.questions.flatMap(nextIds));
+
+  // The questions a session is drawn from: all but the follow‑ups.
+  const drawable = (bank) => {
+    const followUps = followUpIds(bank);
+    return bank.questions.filter((question) => !(question && followUps.has(question.id)));
+  };
+
+  // Check every `next` against the questions in the bank.  A `next`
+  // naming no question would leave the learner at a dead end, and one
+  // leading back to a question already on the way would keep them
+  // going round in a loop; each loop is reported once, from where the
+  // search first found it.
+  const validateBranches = (bank) => {
+    const problems = [];
+    const byId = new Map();
+    bank.questions.forEach((question) => {
+      if (question && isNonEmptyString(question.id) && !byId.has(question.id)) {
+        byId.set(question.id, question);
+      }
+    });
+    bank.questions.forEach((question, qIndex) => {
+      if (!question || !Array.isArray(question.choices)) return;
+      question.choices.forEach((choice, cIndex) => {
+        if (!choice || typeof choice !== 'object' || choice.next === undefined) return;
+        const label = `Question ${qIndex + 1}, choice ${cIndex + 1}`;
+        if (!isNonEmptyString(choice.next)) {
+          problems.push(`${label} has an empty "next".`);
+        } else if (!byId.has(choice.next)) {
+          problems.push(`${label} leads to "${choice.next}", which is not a question in the bank.`);
+        }
+      });
+    });
+    // Depth‑first search: a `next` reaching a question that is still
+    // on the current trail closes a loop.
+    const finished = new Set();
+    const visit = (id, trail) => {
+      if (finished.has(id) || !byId.has(id)) return;
+      const start = trail.indexOf(id);
+      if (start !== -1) {
+        problems.push(`Following "next" goes round in a loop: ${[...trail.slice(start), id].join(' → ')}.`);
+        return;
+      }
+      nextIds(byId.get(id)).forEach((next) => visit(next, [...trail, id]));
+      finished.add(id);
+    };
+    byId.forEach((question, id) => visit(id, []));
+    return problems;
+  };
+
+  // Count the questions available under each tag.
+  const countTags = (questions) => {
+    const counts = new Map();
+    questions.forEach((question) => {
+      if (question && isNonEmptyString(question.tag)) {
+        counts.set(question.tag, (counts.get(question.tag) || 0) + 1);
+      }
+    });
+    return counts;
+  };
+
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+  // Check the optional `draw` entry against the tags in the bank.
+  const validateDraw = (bank) => {
+    const problems = [];
+    if (bank.draw === undefined) return problems;
+    const counts = countTags(drawable(bank));
+    if (typeof bank.draw === 'number') {
+      if (!isPositiveInteger(bank.draw)) {
+        problems.push('"draw" must be a positive whole number.');
+        return problems;
+      }
+      counts.forEach((available, tag) => {
+        if (available < bank.draw) {
+          problems.push(`"draw" asks for ${bank.draw} questions per tag but "${tag}" only has ${available}.`);
+        }
+      });
+    } else if (bank.draw && typeof bank.draw === 'object' && !Array.isArray(bank.draw)) {
+      Object.entries(bank.draw).forEach(([tag, wanted]) => {
+        const available = counts.get(tag) || 0;
+        if (!isPositiveInteger(wanted)) {
+          problems.push(`"draw" for "${tag}" must be a positive whole number.`);
+        } else if (available === 0) {
+          problems.push(`"draw" refers to the tag "${tag}" but no question uses it.`);
+        } else if (available < wanted) {
+          problems.push(`"draw" asks for ${wanted} "${tag}" questions but only ${available} exist.`);
+        }
+      });
+    } else {
+      problems.push('"draw" must be a number or an object of per‑tag counts.');
+    }
+    return problems;
+  };
+
+  // Build the list of questions for one session.  Each tag pool is
+  // shuffled and the requested number of questions taken from it,
+  // then the selection itself and every question's choices are
+  // shuffled.  All randomness comes from `random`, so the same seed
+  // always yields the same cards in the same order.  The bank is not
+  // modified; shuffled copies are returned.
+  const drawSession = (bank, random) => {
+    const available = drawable(bank);
+    let selected = available;
+    if (bank.draw !== undefined) {
+      const wantedPerTag = typeof bank.draw === 'number'
+        ? new Map([...countTags(available).keys()].map((tag) => [tag, bank.draw]))
+        : new Map(Object.entries(bank.draw));
+      selected = [];
+      wantedPerTag.forEach((wanted, tag) => {
+        const pool = available.filter((question) => question.tag === tag);
+        selected.push(...SeededRandom.shuffle(pool, random).slice(0, wanted));
+      });
+    }
+    return SeededRandom.shuffle(selected, random).map((question) => ({
+      ...question,
+      choices: SeededRandom.shuffle(question.choices, random)
+    }));
+  };
+
+  // A follow‑up question with its choices shuffled by `random`, or
+  // null when the bank has no question with that id.
+  const followUp = (bank, id, random) => {
+    const question = bank.questions.find((candidate) => candidate.id === id);
+    return question
+      ? { ...question, choices: SeededRandom.shuffle(question.choices, random) }
+      : null;
+  };
+
+  // How bank files are read and checked (see content-loader.js).
+  const readOptions = {
+    what: 'the question bank',
+    validate,
+    ContentError: QuestionBankError
+  };
+
+  // Fetch, parse and validate a bank.  Resolves with the parsed bank
+  // object; rejects with a QuestionBankError describing what went
+  // wrong.
+  const load = async (path = resolvePath()) => {
+    const { content } = await ContentLoader.load(path, readOptions);
+    return content;
+  };
+
+  // Load the translation of a bank for `lang`, falling back to the bank
+  // itself when no translation exists (see content-loader.js).
+  // Resolves with `{ path, bank }` so callers know which file was
+  // used.  A null `lang` loads `path` directly.
+  const loadLocalised = async (path = resolvePath(), lang = null) => {
+    const { path: used, content } = await ContentLoader.load(path, { ...readOptions, lang });
+    return { path: used, bank: content };
+  };
+
+  return {
+    DEFAULT_PATH,
+    DEFAULT_RETRIES,
+    QuestionBankError,
+    resolvePath,
+    validate,
+    drawSession,
+    followUpIds,
+    followUp,
+    load,
+    loadLocalised
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuestionBank;
+}
@@ -0,0 +1,417 @@
+/*
+ * In‑browser editor for question banks, shown with `?author`.  It
+ * lets the security team write and revise quiz scenarios without
+ * touching JSON by hand: a form holds the scenario, its choices, which
+ * choice is correct and the feedback for each, and every edit is
+ * previewed on the real flip card next to it.
+ *
+ * The editor works on a copy of a bank in the format read by
+ * question-bank.js.  It starts from the bank the page loaded, can
+ * import another file, and exports the result as a JSON file ready to
+ * be published beside `index.html`.  Everything happens in the
+ * browser; nothing is uploaded.
+ *
+ * The bank is checked with `QuestionBank.validate()` after every
+ * change and the problems are listed under the form.  Export stays
+ * disabled until the list is empty, so a file that would break the
+ * quiz never leaves the editor.  Fields the form does not show, such
+ * as `draw`, are kept as they are.  Each choice can lead to a
+ * follow‑up question, picked from the other questions in the bank;
+ * a follow‑up left pointing at a renamed or removed question, or one
+ * that leads round in a loop, is listed with the other problems.
+ */
+const QuestionEditor = (() => {
+  // Deep copy of plain JSON data, so edits never reach the bank the
+  // quiz itself is using.
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  const emptyBank = () => ({ version: '1', title: '', questions: [] });
+
+  const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  // Working copy of a bank with a `questions` array, ready for the
+  // form.  Questions and choices that are not objects (a stray `null`
+  // or string, say) have nothing to edit and are dropped, and every
+  // question left gets a `choices` array.
+  const editable = (bank) => {
+    const copy = clone(bank);
+    copy.questions = copy.questions.filter(isObject);
+    copy.questions.forEach((question) => {
+      question.choices = Array.isArray(question.choices) ? question.choices.filter(isObject) : [];
+    });
+    return copy;
+  };
+
+  // A new question with two empty choices, the first marked correct.
+  // Its id is the first free `question-N`, and it inherits the tag of
+  // the question it was added after.
+  const blankQuestion = (bank, tag) => {
+    const ids = new Set(bank.questions.map((question) => question && question.id));
+    let n = bank.questions.length + 1;
+    while (ids.has(`question-${n}`)) n++;
+    const question = {
+      id: `question-${n}`,
+      scenario: '',
+      choices: [
+        { text: '', correct: true, message: '' },
+        { text: '', correct: false, message: '' }
+      ]
+    };
+    if (tag) question.tag = tag;
+    return question;
+  };
+
+  // Offer the bank as a JSON file download.
+  const download = (bank, fileName) => {
+    const blob = new Blob([`${JSON.stringify(bank, null, 2)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
+
+  // Wire the editor panel in `root` to a working copy of `bank`.
+  // `onPreview(question, { flipped, bank })` is called whenever the
+  // question being edited changes; `flipped` is true while a choice
+  // field has focus so the preview shows the back of the card, and
+  // `bank` is a copy of the working bank, where the follow‑ups the
+  // choices lead to are found.
+  const create = ({ root, bank = null, fileName = 'questions.json', onPreview = () => {} }) => {
+    const titleInput = root.querySelector('.author-bank-title');
+    const versionInput = root.querySelector('.author-bank-version');
+    const select = root.querySelector('.author-select');
+    const addBtn = root.querySelector('.author-add');
+    const removeBtn = root.querySelector('.author-remove');
+    const form = root.querySelector('.author-form');
+    const idInput = root.querySelector('.author-id');
+    const tagInput = root.querySelector('.author-tag');
+    const tagList = root.querySelector('#author-tags');
+    const scenarioInput = root.querySelector('.author-scenario');
+    const choiceFieldset = root.querySelector('.author-choices');
+    const choiceList = root.querySelector('.author-choice-list');
+    const addChoiceBtn = root.querySelector('.author-add-choice');
+    const problemsBox = root.querySelector('.author-problems');
+    const problemsTitle = problemsBox ? problemsBox.querySelector('.author-problems-title') : null;
+    const problemsList = problemsBox ? problemsBox.querySelector('.author-problems-list') : null;
+    const importInput = root.querySelector('.author-import input');
+    const exportBtn = root.querySelector('.author-export');
+
+    let working = bank ? editable(bank) : emptyBank();
+    let selected = 0;
+    let exportName = fileName;
+
+    const current = () => working.questions[selected] || null;
+
+    // The preview flips to the choices while one of them is being
+    // edited, and back to the scenario otherwise.
+    const preview = () => {
+      const question = current();
+      if (!question) return;
+      const flipped = Boolean(choiceFieldset && choiceFieldset.contains(document.activeElement));
+      onPreview(clone(question), { flipped, bank: clone(working) });
+    };
+
+    const showProblems = (problems) => {
+      if (exportBtn) {
+        exportBtn.disabled = problems.length > 0;
+      }
+      if (!problemsBox) return;
+      problemsBox.classList.toggle('has-problems', problems.length > 0);
+      if (problemsTitle) {
+        problemsTitle.textContent = I18n.t(problems.length ? 'author.problems' : 'author.valid');
+      }
+      if (problemsList) {
+        problemsList.innerHTML = '';
+        problems.forEach((problem) => {
+          const item = document.createElement('li');
+          item.textContent = problem;
+          problemsList.appendChild(item);
+        });
+      }
+    };
+
+    const validate = () => showProblems(QuestionBank.validate(working));
+
+    // Rebuild the question picker, e.g. after a question was added,
+    // removed or renamed.
+    const renderSelect = () => {
+      if (!select) return;
+      select.innerHTML = '';
+      working.questions.forEach((question, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = `${index + 1}. ${(question && question.id) || '—'}`;
+        select.appendChild(option);
+      });
+      select.value = String(selected);
+      if (removeBtn) {
+        removeBtn.disabled = working.questions.length === 0;
+      }
+    };
+
+    // Offer the tags already used in the bank as suggestions.
+    const renderTags = () => {
+      if (!tagList) return;
+      tagList.innerHTML = '';
+      const tags = new Set(working.questions
+        .map((question) => question && question.tag)
+        .filter(Boolean));
+      tags.forEach((tag) => {
+        const option = document.createElement('option');
+        option.value = tag;
+        tagList.appendChild(option);
+      });
+    };
+
+    // One row per choice: a radio button for the correct answer, the
+    // answer text, its feedback message, the follow‑up it leads to and
+    // a remove button.
+    const renderChoices = () => {
+      if (!choiceList) return;
+      choiceList.innerHTML = '';
+      const question = current();
+      if (!question) return;
+      question.choices.forEach((choice, index) => {
+        const item = document.createElement('li');
+        item.className = 'author-choice';
+
+        const correctLabel = document.createElement('label');
+        correctLabel.className = 'author-correct';
+        const correct = document.createElement('input');
+        correct.type = 'radio';
+        correct.name = 'author-correct';
+        correct.checked = choice.correct === true;
+        correct.addEventListener('change', () => {
+          question.choices.forEach((other, otherIndex) => {
+            other.correct = otherIndex === index;
+          });
+          changed();
+        });
+        correctLabel.append(correct, ` ${I18n.t('author.correct')}`);
+
+        const textLabel = document.createElement('label');
+        textLabel.textContent = I18n.t('author.choiceLabel', { number: index + 1 });
+        const text = document.createElement('input');
+        text.type = 'text';
+        text.value = choice.text || '';
+        text.addEventListener('input', () => {
+          choice.text = text.value;
+          changed();
+        });
+        textLabel.appendChild(text);
+
+        const messageLabel = document.createElement('label');
+        messageLabel.textContent = I18n.t('author.message');
+        const message = document.createElement('textarea');
+        message.rows = 2;
+        message.value = choice.message || '';
+        message.addEventListener('input', () => {
+          choice.message = message.value;
+          changed();
+        });
+        messageLabel.appendChild(message);
+
+        // The follow‑up may be any other question.  A `next` that no
+        // longer names one is kept as an option so the problem shows.
+        const nextLabel = document.createElement('label');
+        nextLabel.textContent = I18n.t('author.next');
+        const next = document.createElement('select');
+        const targets = working.questions
+          .map((other) => other && other.id)
+          .filter((id) => id && id !== question.id);
+        if (choice.next && !targets.includes(choice.next)) {
+          targets.push(choice.next);
+        }
+        [['', I18n.t('author.nextNone')], ...targets.map((id) => [id, id])].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          next.appendChild(option);
+        });
+        next.value = choice.next || '';
+        next.addEventListener('change', () => {
+          if (next.value) {
+            choice.next = next.value;
+          } else {
+            delete choice.next;
+          }
+          changed();
+        });
+        nextLabel.appendChild(next);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'author-remove-choice';
+        remove.textContent = I18n.t('author.removeChoice');
+        remove.addEventListener('click', () => {
+          question.choices.splice(index, 1);
+          renderChoices();
+          changed();
+        });
+
+        item.append(correctLabel, textLabel, messageLabel, nextLabel, remove);
+        choiceList.appendChild(item);
+      });
+    };
+
+    // Copy the selected question into the form.
+    const renderQuestion = () => {
+      const question = current();
+      if (form) {
+        form.hidden = !question;
+      }
+      if (question) {
+        if (idInput) idInput.value = question.id || '';
+        if (tagInput) tagInput.value = question.tag || '';
+        if (scenarioInput) scenarioInput.value = question.scenario || '';
+      }
+      renderChoices();
+    };
+
+    const render = () => {
+      if (titleInput) titleInput.value = working.title || '';
+      if (versionInput) versionInput.value = working.version || '';
+      renderSelect();
+      renderTags();
+      renderQuestion();
+      validate();
+      preview();
+    };
+
+    // Called after every edit.
+    const changed = () => {
+      validate();
+      preview();
+    };
+
+    // Replace the working bank, e.g. with an imported file.  A bank
+    // without a usable `questions` array cannot be edited, so its
+    // problems are shown and the current bank is kept.
+    const load = (next, name = exportName) => {
+      if (!next || typeof next !== 'object' || !Array.isArray(next.questions)) {
+        showProblems(QuestionBank.validate(next));
+        return false;
+      }
+      working = editable(next);
+      selected = 0;
+      exportName = name;
+      render();
+      return true;
+    };
+
+    if (titleInput) {
+      titleInput.addEventListener('input', () => {
+        working.title = titleInput.value;
+      });
+    }
+    if (versionInput) {
+      versionInput.addEventListener('input', () => {
+        working.version = versionInput.value;
+      });
+    }
+    if (select) {
+      select.addEventListener('change', () => {
+        selected = Number(select.value);
+        renderQuestion();
+        preview();
+      });
+    }
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const previous = current();
+        working.questions.splice(selected + 1, 0, blankQuestion(working, previous && previous.tag));
+        selected = working.questions.length === 1 ? 0 : selected + 1;
+        render();
+        if (scenarioInput) scenarioInput.focus();
+      });
+    }
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => {
+        if (!current()) return;
+        working.questions.splice(selected, 1);
+        selected = Math.max(0, Math.min(selected, working.questions.length - 1));
+        render();
+      });
+    }
+    if (idInput) {
+      idInput.addEventListener('input', () => {
+        current().id = idInput.value.trim();
+        renderSelect();
+        changed();
+      });
+    }
+    if (tagInput) {
+      tagInput.addEventListener('input', () => {
+        const tag = tagInput.value.trim();
+        if (tag) {
+          current().tag = tag;
+        } else {
+          delete current().tag;
+        }
+        changed();
+      });
+      tagInput.addEventListener('change', renderTags);
+    }
+    if (scenarioInput) {
+      scenarioInput.addEventListener('input', () => {
+        current().scenario = scenarioInput.value;
+        changed();
+      });
+    }
+    if (addChoiceBtn) {
+      addChoiceBtn.addEventListener('click', () => {
+        const question = current();
+        if (!question) return;
+        question.choices.push({ text: '', correct: false, message: '' });
+        renderChoices();
+        const inputs = choiceList ? choiceList.querySelectorAll('input[type="text"]') : [];
+        if (inputs.length) inputs[inputs.length - 1].focus();
+        changed();
+      });
+    }
+    // Flip the preview as focus moves into or out of the choices.
+    if (choiceFieldset) {
+      choiceFieldset.addEventListener('focusin', preview);
+      choiceFieldset.addEventListener('focusout', () => setTimeout(preview, 0));
+    }
+    if (importInput) {
+      importInput.addEventListener('change', async () => {
+        const file = importInput.files && importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        let parsed;
+        try {
+          parsed = JSON.parse(await file.text());
+        } catch (err) {
+          showProblems([I18n.t('author.importError', { name: file.name })]);
+          return;
+        }
+        load(parsed, file.name);
+      });
+    }
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        if (QuestionBank.validate(working).length) return;
+        download(working, exportName);
+      });
+    }
+
+    render();
+
+    return {
+      load,
+      get bank() {
+        return clone(working);
+      }
+    };
+  };
+
+  return { create, blankQuestion };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuestionEditor;
+}
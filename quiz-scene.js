@@ -0,0 +1,1021 @@
+/*
+ * The flip quiz of scene 2.  The scene presents a series of scenario
+ * cards.  Learners click a card to flip it over and choose the
+ * correct answer.  Feedback colours and messages reinforce learning.
+ * After all questions are completed a scoreboard appears saying
+ * whether the learner reached the pass mark (see lms.js).  A learner
+ * who did not may retry, asking again only the questions they missed,
+ * as many times as the bank allows; one who did can open a
+ * certificate (see certificate.js).  A small confetti effect plays on
+ * a perfect score.  The scene counts as completed once the quiz is
+ * passed or there is nothing left to retry.  The first card and its
+ * notification timer only start when the deck enters the scene, and
+ * every visit starts the quiz afresh.
+ *
+ * A choice may lead to a follow‑up card showing its consequences (see
+ * question-bank.js), so the quiz moves through the bank as a graph:
+ * after each answer it goes to the card the chosen answer leads to,
+ * or else back to the next drawn question.  Every card answered
+ * counts towards the score, follow‑ups included, and when the bank
+ * has follow‑ups the scoreboard lists the path the learner took.
+ *
+ * The timed challenge (`?mode=timed` in script.js) gives each card
+ * TIMED_SECONDS, shown by a ring around the card that empties as time
+ * runs out; a card left unanswered is turned over and marked wrong.  A
+ * correct answer earns a speed bonus of up to TIMED_BONUS points on
+ * top of POINTS_PER_ANSWER, and the scoreboard breaks the points
+ * down.  The pass mark and the course score still count correct
+ * answers only.
+ *
+ * With a narrator (see narration.js) each card's scenario is read out
+ * as it is shown, and each answer plays the success or error sound
+ * before its explanation is read out.
+ *
+ * Everything the quiz reports to, such as the LMS, analytics and the
+ * certificate dialog, is handed to `setup()` rather than taken from
+ * the page, so the quiz runs the same in the deck and in the tests
+ * under `test/`.
+ */
+const QuizScene = (() => {
+  const TIMED_SECONDS = 20;
+  const TIMED_BONUS = 50;
+  const POINTS_PER_ANSWER = 100;
+  // Confetti colours from the default palette, for themes without
+  // their own (see theme.js).
+  const CONFETTI_COLOURS = [
+    'rgba(143, 247, 122, 0.9)', // green
+    'rgba(196, 158, 234, 0.9)', // lavender
+    'rgba(146, 224, 128, 0.9)', // pastel green
+    'rgba(91, 192, 235, 0.9)'  // success blue from the palette
+  ];
+
+  // Build the deck `setup` function for the quiz (see deck.js).
+  // `bankLoad` is the promise of the question bank, as returned by
+  // `QuestionBank.loadLocalised()`, and `timed` turns on the timed
+  // challenge.  Answers are reported to `lms` and events to
+  // `analytics`; `announce(message)` speaks to screen readers,
+  // `reducedMotion` is the media query that turns the confetti off,
+  // `certificate` is the dialog offered once the learner has passed
+  // (none when null) and `frame` is the responsive frame whose resizes
+  // move the notification bubble (see frame.js).  `narrator` reads the
+  // cards out and plays the feedback sounds, and `confetti` lists the
+  // colours of the confetti.
+  //
+  // Besides the usual lifecycle hooks the scene returns `preview()`,
+  // which authoring mode uses to show a single question on the card.
+  const setup = ({
+    bankLoad,
+    timed = false,
+    lms = LmsReporter.createNoopReporter(),
+    analytics = Analytics.create(),
+    announce = () => {},
+    reducedMotion = { matches: false },
+    certificate = null,
+    frame = null,
+    narrator = { say: () => {}, cue: () => {}, stop: () => {} },
+    confetti = CONFETTI_COLOURS
+  } = {}) => (scene, { complete, changed }) => {
+    // Elements from the DOM
+    const quizCard = scene.querySelector('#quiz-card');
+    const cardInner = quizCard ? quizCard.querySelector('.quiz-card-inner') : null;
+    const front = quizCard ? quizCard.querySelector('.quiz-card-front .scenario-text') : null;
+    const backChoices = quizCard ? quizCard.querySelector('.quiz-card-back .choice-container') : null;
+    const nextContainer = scene.querySelector('.quiz-next');
+    const nextButton = nextContainer ? nextContainer.querySelector('button') : null;
+    const scoreboard = scene.querySelector('#scoreboard');
+    const scoreBox = scoreboard ? scoreboard.querySelector('.score-box') : null;
+    const scoreText = scoreboard ? scoreboard.querySelector('.score-text') : null;
+    const verdictText = scoreboard ? scoreboard.querySelector('.score-verdict') : null;
+    const noteText = scoreboard ? scoreboard.querySelector('.score-note') : null;
+    const retryBtn = scoreboard ? scoreboard.querySelector('.retry-missed-btn') : null;
+    const certificateBtn = scoreboard ? scoreboard.querySelector('.certificate-btn') : null;
+    const confettiContainer = scoreboard ? scoreboard.querySelector('.confetti-container') : null;
+
+    // Grab the notification element added above the quiz card.  This
+    // popup will prompt the user to interact with the first card.
+    const notificationEl = scene.querySelector('.notifications');
+    const quizContainer = scene.querySelector('.quiz-container');
+
+    // Element used to report a question bank that failed to load or
+    // validate.  It replaces the card so a malformed file is obvious.
+    const quizError = scene.querySelector('#quiz-error');
+    const cardFront = quizCard ? quizCard.querySelector('.quiz-card-front') : null;
+    const cardBack = quizCard ? quizCard.querySelector('.quiz-card-back') : null;
+
+    // The quiz content is loaded from an external question bank (see
+    // question-bank.js).  Each entry includes an id, a scenario and a
+    // list of choice objects with text, correctness and feedback
+    // messages.  `sessionData` holds every question drawn for this
+    // session and stays empty until the bank has been fetched;
+    // `quizData` is the round being asked, which is the whole session
+    // at first and only the missed questions on a retry.
+    let sessionData = [];
+    let quizData = [];
+    // Ids of the questions in the current retry round, or null for
+    // the first round.
+    let roundIds = null;
+    // Ids of every question answered, in the order first asked, and of
+    // those answered wrongly and not yet put right.
+    let asked = new Set();
+    let missed = new Set();
+    // Every answer given, in order: `{ id, choice, correct, round,
+    // followUp }`, where `round` counts the retries before it.
+    let path = [];
+    let retriesUsed = 0;
+    // The validated bank, kept so the session can be redrawn when a
+    // saved session with a different seed is restored.
+    let loadedBank = null;
+    // The bank being edited while authoring mode previews one of its
+    // questions, which is where that question's follow‑ups are found.
+    let previewBank = null;
+
+    // Seed for this session's question draw and choice order.  It is
+    // shown on the scoreboard so a trainer can reopen the deck with
+    // `?seed=` and see exactly what the learner saw.
+    // A resumed session brings back the seed it was drawn with.
+    let sessionSeed = SeededRandom.resolveSeed();
+    const seedText = scoreboard ? scoreboard.querySelector('.score-seed') : null;
+
+    // The drawn question the learner is on in the round.  While a
+    // follow‑up it led to is showing, `followUpId` is that card's id;
+    // once a card is answered, `branchTo` is the follow‑up the answer
+    // leads to, if any.
+    let currentIndex = 0;
+    let followUpId = null;
+    let branchTo = null;
+    // Follow‑up cards with their choices shuffled, by id.
+    let followUps = new Map();
+    // When the current card was shown, for the time taken to answer.
+    let shownAt = 0;
+    let answered = false;
+    // True once the end of the round has been reported: the scene
+    // completed if the quiz is over and `quiz_complete` emitted.
+    let roundReported = false;
+    // Result of the last finished attempt, `{ score, max }`.  Unlike
+    // the running score it survives a restart, and it is what counts
+    // towards the course score.
+    let result = null;
+    // True while the deck is showing this scene.  The bank may finish
+    // loading before or after the scene is entered.
+    let active = false;
+
+    // Timed mode: the countdown ring and seconds left on the card, the
+    // speed bonus earned and the cards that ran out of time.
+    const timerRing = quizCard ? quizCard.querySelector('.quiz-timer') : null;
+    const timerCount = quizCard ? quizCard.querySelector('.quiz-timer-count') : null;
+    const breakdownList = scoreboard ? scoreboard.querySelector('.score-breakdown') : null;
+    // The path taken through the cards, shown on the scoreboard.
+    const pathBox = scoreboard ? scoreboard.querySelector('.score-path') : null;
+    const pathList = pathBox ? pathBox.querySelector('.score-path-list') : null;
+    let bonus = 0;
+    let timeouts = 0;
+    let deadline = 0;
+    let timerFrame = null;
+    let warned = false;
+    if (timed && quizCard) {
+      quizCard.classList.add('timed');
+    }
+
+    // Fraction of the current card's time still left, from 1 to 0.
+    const timeLeft = () => Math.max(0, Math.min(1, (deadline - performance.now()) / (TIMED_SECONDS * 1000)));
+
+    // Update the ring and the seconds, and warn screen reader users
+    // once when time is nearly up.  Returns the fraction left.
+    const drawTimer = () => {
+      const left = timeLeft();
+      const seconds = Math.ceil(left * TIMED_SECONDS);
+      if (timerRing) {
+        timerRing.style.setProperty('--timer-left', String(left));
+        timerRing.classList.toggle('low', seconds <= 5);
+      }
+      if (timerCount) {
+        timerCount.textContent = String(seconds);
+      }
+      if (!warned && left > 0 && seconds <= 5) {
+        warned = true;
+        announce(I18n.t('quiz.secondsLeft', { seconds }));
+      }
+      return left;
+    };
+
+    // Count down once per animation frame; the deadline is kept in
+    // real time, so a tab left in the background still runs out.
+    const tick = () => {
+      timerFrame = null;
+      if (drawTimer() <= 0) {
+        onSelectChoice(null);
+        return;
+      }
+      timerFrame = requestAnimationFrame(tick);
+    };
+
+    const startTimer = () => {
+      if (!timed) return;
+      stopTimer();
+      deadline = performance.now() + TIMED_SECONDS * 1000;
+      warned = false;
+      tick();
+    };
+
+    // Stop the countdown and return the fraction of time that was left,
+    // or 0 outside timed mode.
+    const stopTimer = () => {
+      if (!timed) return 0;
+      if (timerFrame !== null) {
+        cancelAnimationFrame(timerFrame);
+        timerFrame = null;
+      }
+      return timeLeft();
+    };
+
+    // Helper to position the notification relative to the quiz card.
+    // This computes the card’s location within the quiz container and
+    // centres the bubble horizontally above it.  A small gap is
+    // inserted to separate the bubble from the card.  The positions
+    // are measured on screen, where the slide may be scaled, and
+    // converted back into the frame's own pixels.
+    const positionNotification = () => {
+      if (!notificationEl || !quizCard || !quizContainer) return;
+      const cardRect = quizCard.getBoundingClientRect();
+      const containerRect = quizContainer.getBoundingClientRect();
+      const scale = ResponsiveFrame.scaleOf(quizContainer);
+      const gap = 12; // distance in pixels between the card and bubble
+      const top = (cardRect.top - containerRect.top) / scale - gap;
+      const left = (cardRect.left - containerRect.left + cardRect.width / 2) / scale;
+      notificationEl.style.top = `${top}px`;
+      notificationEl.style.left = `${left}px`;
+      notificationEl.style.transform = 'translateX(-50%)';
+    };
+
+    // Show the notification using the CSS animation.  This function
+    // recalculates the bubble position before revealing it.  It
+    // removes any hide class and applies the show class which
+    // triggers the entrance animation defined in the CSS.
+    const showNotification = () => {
+      if (!notificationEl) return;
+      positionNotification();
+      // Reset classes and reveal the element
+      notificationEl.classList.remove('hide');
+      notificationEl.classList.add('show');
+    };
+
+    // Hide the notification with a reverse animation.  After the
+    // animation completes the element is set to display: none to
+    // prevent interaction.  This function gracefully handles cases
+    // where the notification has not been shown.
+    const hideNotification = () => {
+      if (!notificationEl) return;
+      // Only proceed if currently shown
+      if (!notificationEl.classList.contains('show')) return;
+      notificationEl.classList.remove('show');
+      notificationEl.classList.add('hide');
+      // After the hide animation finishes (duration 0.8s), set
+      // display: none so the element no longer occupies space.
+      notificationEl._hideTimeout = setTimeout(() => {
+        // Only hide if still marked as hidden to avoid race conditions
+        if (notificationEl.classList.contains('hide')) {
+          notificationEl.style.display = 'none';
+        }
+      }, 800);
+    };
+
+    // Keep keyboard and screen‑reader access in step with the visible
+    // face.  Face down, the card itself is the button that flips it and
+    // the choices on the back are inert; face up, the card stops being
+    // a button and the front is inert instead.
+    const setCardFace = (flipped) => {
+      if (!quizCard) return;
+      quizCard.classList.toggle('flipped', flipped);
+      if (flipped) {
+        quizCard.removeAttribute('role');
+        quizCard.removeAttribute('tabindex');
+        quizCard.removeAttribute('aria-label');
+      } else {
+        quizCard.setAttribute('role', 'button');
+        quizCard.setAttribute('tabindex', '0');
+        quizCard.setAttribute('aria-label', I18n.t('quiz.flip'));
+      }
+      if (cardFront) cardFront.inert = flipped;
+      if (cardBack) cardBack.inert = !flipped;
+    };
+
+    // A follow‑up question by id, with its choices shuffled by the
+    // session seed and the id so resuming shows them in the same
+    // order.  Null when the bank has no such question, as for a
+    // question still being written in the editor.
+    const followUpOf = (id) => {
+      if (!followUps.has(id)) {
+        const bank = previewBank || loadedBank;
+        const question = bank
+          ? QuestionBank.followUp(bank, id, SeededRandom.create(`${sessionSeed}/${id}`))
+          : null;
+        if (!question) return null;
+        followUps.set(id, question);
+      }
+      return followUps.get(id);
+    };
+
+    // The question on the card: the follow‑up being shown or the drawn
+    // question the learner is on.
+    const current = () => (followUpId && followUpOf(followUpId)) || quizData[currentIndex];
+
+    // Questions answered correctly and answered in all, counting each
+    // card once however often it was asked.
+    const tally = () => ({ score: asked.size - missed.size, max: asked.size });
+
+    // Flip the card to its choices and move focus to the first one.
+    const flipCard = () => {
+      if (quizCard.classList.contains('flipped') || answered) return;
+      setCardFace(true);
+      analytics.emit('card_flip', { scene: scene.id, question: current().id });
+      const firstChoice = backChoices ? backChoices.querySelector('.choice') : null;
+      if (firstChoice) {
+        firstChoice.focus({ preventScroll: true });
+      }
+    };
+
+    // Render the current card front and back choices.  Pass
+    // `focusCard` when the learner moved on with the keyboard or
+    // pointer so focus follows them to the new card.
+    const renderCard = ({ focusCard = false } = {}) => {
+      const data = current();
+      // Populate the scenario text
+      if (front) {
+        front.textContent = data.scenario;
+      }
+      // Clear previous choices and explanations
+      if (backChoices) {
+        backChoices.innerHTML = '';
+      }
+      const back = quizCard ? quizCard.querySelector('.quiz-card-back') : null;
+      if (back) {
+        // Remove any explanation element from previous question
+        const expl = back.querySelector('.explanation');
+        if (expl) expl.remove();
+      }
+      // Create choice buttons.  The choices were already shuffled
+      // with the session seed when the questions were drawn, so the
+      // order is reproducible and the correct answer is not always in
+      // the first position.
+      data.choices.forEach((choice) => {
+        const btn = document.createElement('button');
+        btn.className = 'choice';
+        btn.textContent = choice.text;
+        btn.dataset.correct = choice.correct;
+        btn.dataset.message = choice.message;
+        if (choice.audio) {
+          btn.dataset.audio = choice.audio;
+        }
+        if (choice.next) {
+          btn.dataset.next = choice.next;
+        }
+        btn.addEventListener('click', onSelectChoice);
+        if (backChoices) {
+          backChoices.appendChild(btn);
+        }
+      });
+      // Reset flags and classes
+      answered = false;
+      branchTo = null;
+      shownAt = performance.now();
+      quizCard.classList.remove('correct', 'wrong');
+      // Hide next button until the user answers
+      if (nextContainer) {
+        nextContainer.style.display = 'none';
+      }
+      // Ensure the card is showing the front when a new card is rendered
+      setCardFace(false);
+      if (active) {
+        startTimer();
+        narrator.say(data.scenario, { audio: data.audio });
+      }
+      if (focusCard) {
+        quizCard.focus({ preventScroll: true });
+      }
+
+      // Show the notification on the first card only.  When the
+      // first card is rendered we schedule the pop up
+      // after a short delay.  For subsequent cards the notification
+      // remains hidden.  Any pending timeouts from prior runs are
+      // cleared to avoid multiple triggers.
+      if (notificationEl) {
+        // Clear any existing timers stored on the element
+        if (notificationEl._timeout) {
+          clearTimeout(notificationEl._timeout);
+        }
+        if (currentIndex === 0 && !followUpId) {
+          // Delay showing the notification by 1 second to give
+          // users a moment to orient themselves.  Leave the element
+          // hidden until the animation begins to avoid flashing it
+          // at the top of the frame.
+          notificationEl._timeout = setTimeout(() => {
+            showNotification();
+          }, 1000);
+        } else {
+          // Hide the notification immediately for all other cards
+          hideNotification();
+        }
+      }
+    };
+
+    // Keep the bubble over the card when the slide is rescaled, as on
+    // a resize or a rotated device.
+    if (frame) {
+      frame.onResize(() => {
+        if (notificationEl && notificationEl.classList.contains('show')) {
+          positionNotification();
+        }
+      });
+    }
+
+    // Handle card front click to flip
+    if (quizCard) {
+      quizCard.addEventListener('click', (e) => {
+        // Only flip when clicking on the front face and not yet flipped.
+        // flipCard() ignores cards that are already flipped or answered.
+        flipCard();
+
+        // If the notification is visible when the user interacts with
+        // the card, hide it smoothly.  This ensures the bubble does
+        // not linger after the interaction has begun.  The event
+        // listener uses a check rather than relying on `once` so
+        // subsequent clicks during the same card do not re‑show the
+        // notification.  The hideNotification function guards
+        // against running twice.
+        if (notificationEl) {
+          hideNotification();
+        }
+      });
+      // Enter and Space flip the card like any other button.  Keys
+      // pressed on the choices bubble up here and are ignored.
+      quizCard.addEventListener('keydown', (e) => {
+        if (e.target !== quizCard || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        flipCard();
+        hideNotification();
+      });
+    }
+
+    // Add text to a choice that only screen readers announce.
+    const appendHiddenText = (el, text) => {
+      const span = document.createElement('span');
+      span.className = 'sr-only';
+      span.textContent = text;
+      el.appendChild(span);
+    };
+
+    // Choice selection handler.  In timed mode it also runs when the
+    // countdown runs out, with no choice (`e` is null): the card is
+    // turned over and marked wrong, and the correct answer shown.
+    const onSelectChoice = (e) => {
+      if (answered) return;
+      answered = true;
+      const timeLeft = stopTimer();
+      const btn = e ? e.currentTarget : null;
+      const isCorrect = btn ? btn.dataset.correct === 'true' : false;
+      const data = current();
+      // An unfinished question in the editor preview may not have a
+      // correct choice yet.
+      const correctChoice = data.choices.find((choice) => choice.correct) || { text: '', message: '' };
+      const response = btn ? btn.textContent : '';
+      lms.recordAnswer({
+        id: data.id,
+        response,
+        correctResponse: correctChoice.text,
+        correct: isCorrect
+      });
+      analytics.emit('choice_selected', {
+        scene: scene.id,
+        question: data.id,
+        chosen: response,
+        correctAnswer: correctChoice.text,
+        correct: isCorrect,
+        timeToAnswer: Math.round(performance.now() - shownAt),
+        ...(timed ? { timedOut: !btn } : {})
+      });
+      // Follow the answer to its follow‑up card, if it has one.
+      if (btn && btn.dataset.next && followUpOf(btn.dataset.next)) {
+        branchTo = btn.dataset.next;
+      }
+      asked.add(data.id);
+      path.push({
+        id: data.id,
+        choice: response,
+        correct: isCorrect,
+        round: retriesUsed,
+        followUp: Boolean(followUpId)
+      });
+      // Apply feedback classes to the card and button.  A fast
+      // correct answer in timed mode earns a bonus.
+      if (isCorrect) {
+        missed.delete(data.id);
+        if (timed) {
+          bonus += Math.round(TIMED_BONUS * timeLeft);
+        }
+        btn.classList.add('correct');
+        quizCard.classList.add('correct');
+      } else {
+        missed.add(data.id);
+        if (btn) {
+          btn.classList.add('wrong');
+        } else {
+          timeouts++;
+          setCardFace(true);
+          hideNotification();
+        }
+        quizCard.classList.add('wrong');
+      }
+      // Disable all choice buttons and highlight the correct one
+      const allChoices = backChoices ? backChoices.querySelectorAll('.choice') : [];
+      allChoices.forEach((b) => {
+        b.disabled = true;
+        if (b !== btn && b.dataset.correct === 'true') {
+          b.classList.add('correct');
+        }
+      });
+      // The colours are backed up by a visible mark (see style.css)
+      // and by text for screen readers, so the feedback does not rely
+      // on colour alone.
+      if (btn) {
+        appendHiddenText(btn, I18n.t(isCorrect ? 'quiz.yourAnswerCorrect' : 'quiz.yourAnswerWrong'));
+      }
+      if (!isCorrect) {
+        allChoices.forEach((b) => {
+          if (b.dataset.correct === 'true') {
+            appendHiddenText(b, I18n.t('quiz.correctAnswer'));
+          }
+        });
+      }
+      // Display explanation message
+      const message = btn
+        ? btn.dataset.message
+        : I18n.t('quiz.timeUp', { answer: correctChoice.text, message: correctChoice.message });
+      const expl = document.createElement('div');
+      expl.className = 'explanation';
+      expl.textContent = message;
+      expl.tabIndex = -1;
+      const back = quizCard.querySelector('.quiz-card-back');
+      back.appendChild(expl);
+      // Announce the outcome and explanation, and move focus to the
+      // explanation; the Next button follows it in the tab order.
+      if (!btn) {
+        announce(message);
+      } else {
+        announce(isCorrect
+          ? I18n.t('quiz.announceCorrect', { message })
+          : I18n.t('quiz.announceWrong', { answer: correctChoice.text, message }));
+      }
+      expl.focus({ preventScroll: true });
+      narrator.cue(isCorrect ? 'success' : 'error');
+      narrator.say(message, { audio: btn ? btn.dataset.audio : null });
+      // Show next/finish button.  Which one depends on whether the
+      // answer leads to a follow‑up.
+      if (nextButton) {
+        nextButton.textContent = I18n.t(branchTo || currentIndex < quizData.length - 1 ? 'quiz.next' : 'quiz.finish');
+      }
+      if (nextContainer) {
+        nextContainer.style.display = 'block';
+      }
+      changed();
+    };
+
+    // Rebuild the round being asked from the session's questions.
+    // A retry round may include follow‑ups, which are asked on their
+    // own.
+    const buildRound = () => {
+      quizData = roundIds
+        ? roundIds
+          .map((id) => sessionData.find((question) => question.id === id) || followUpOf(id))
+          .filter(Boolean)
+        : sessionData;
+    };
+
+    // The pass mark in percent, which the bank may set (see lms.js for
+    // what overrides it), and how many retries the bank allows.
+    const passMark = () => lms.passMark(loadedBank ? loadedBank.passMark : null);
+    const retryLimit = () => (loadedBank && Number.isInteger(loadedBank.retries)
+      ? loadedBank.retries
+      : QuestionBank.DEFAULT_RETRIES);
+
+    // Decided as the LMS decides it (see lms.js).
+    const hasPassed = () => {
+      const { score, max } = tally();
+      return LmsReporter.hasPassed(score, max, passMark());
+    };
+    const retriesLeft = () => Math.max(0, retryLimit() - retriesUsed);
+
+    // True once the learner has passed or cannot retry any more.
+    const isOver = () => hasPassed() || retriesLeft() === 0 || missed.size === 0;
+
+    // List the answers given on the scoreboard, each under the card it
+    // answered, with the follow‑ups indented under the answer that led
+    // to them and a heading before each retry.  Only banks with
+    // follow‑ups show the path; otherwise it is just the questions in
+    // order.
+    const showPath = () => {
+      if (!pathBox || !pathList) return;
+      const branching = Boolean(loadedBank) && QuestionBank.followUpIds(loadedBank).size > 0;
+      pathBox.hidden = !branching || path.length === 0;
+      pathList.innerHTML = '';
+      if (pathBox.hidden) return;
+      let round = 0;
+      path.forEach((step) => {
+        if (step.round !== round) {
+          round = step.round;
+          const heading = document.createElement('li');
+          heading.className = 'score-path-round';
+          heading.textContent = I18n.t('quiz.pathRetry', { round });
+          pathList.appendChild(heading);
+        }
+        const question = sessionData.find((candidate) => candidate.id === step.id) || followUpOf(step.id);
+        const item = document.createElement('li');
+        item.className = `score-path-step ${step.correct ? 'correct' : 'wrong'}`;
+        item.classList.toggle('follow-up', step.followUp);
+        const scenarioText = document.createElement('span');
+        scenarioText.className = 'score-path-scenario';
+        scenarioText.textContent = question ? question.scenario : step.id;
+        scenarioText.title = scenarioText.textContent;
+        const choiceText = document.createElement('span');
+        choiceText.className = 'score-path-choice';
+        choiceText.textContent = I18n.t(step.correct ? 'quiz.pathCorrect' : 'quiz.pathWrong', {
+          choice: step.choice || I18n.t('quiz.pathTimedOut')
+        });
+        item.append(scenarioText, choiceText);
+        pathList.appendChild(item);
+      });
+    };
+
+    // Show the score overlay for the finished round
+    const showScoreboard = () => {
+      const { score, max } = tally();
+      const passed = hasPassed();
+      const canRetry = !passed && retriesLeft() > 0 && missed.size > 0;
+      result = { score, max };
+      if (verdictText) {
+        verdictText.textContent = I18n.t(passed ? 'quiz.passed' : 'quiz.notPassed');
+      }
+      if (scoreText) {
+        scoreText.textContent = I18n.t('quiz.score', { score, total: max });
+      }
+      if (noteText) {
+        noteText.textContent = passed
+          ? ''
+          : I18n.t(canRetry ? 'quiz.retryNote' : 'quiz.noRetries', { passMark: passMark() });
+      }
+      if (seedText) {
+        seedText.textContent = I18n.t('quiz.seed', { seed: sessionSeed });
+      }
+      if (retryBtn) {
+        retryBtn.hidden = !canRetry;
+        retryBtn.textContent = I18n.t('quiz.retryMissed', { count: missed.size, retries: retriesLeft() });
+      }
+      if (certificateBtn) {
+        certificateBtn.hidden = !passed || !certificate;
+      }
+      if (breakdownList) {
+        breakdownList.hidden = !timed;
+        breakdownList.innerHTML = '';
+        if (timed) {
+          [
+            I18n.t('quiz.breakdownCorrect', { score, max }),
+            I18n.t('quiz.breakdownTimeouts', { count: timeouts }),
+            I18n.t('quiz.breakdownBonus', { bonus }),
+            I18n.t('quiz.breakdownPoints', { points: score * POINTS_PER_ANSWER + bonus })
+          ].forEach((text) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            breakdownList.appendChild(item);
+          });
+        }
+      }
+      showPath();
+      if (scoreBox) {
+        scoreBox.classList.toggle('passed', passed);
+      }
+      if (scoreboard) {
+        scoreboard.style.display = 'flex';
+      }
+      if (scoreBox) {
+        scoreBox.focus({ preventScroll: true });
+      }
+      announce(I18n.t('quiz.announceComplete', {
+        score: [verdictText, scoreText, noteText, ...(breakdownList && timed ? breakdownList.children : [])]
+          .filter((el) => el && el.textContent)
+          .map((el) => el.textContent)
+          .join(' ')
+      }));
+      // Trigger confetti on perfect score, unless the learner prefers
+      // reduced motion
+      if (score === max && !reducedMotion.matches) {
+        launchConfetti();
+      }
+    };
+
+    // Advance to the follow‑up the last answer leads to, else to the
+    // next drawn question, or show the scoreboard at the end of the
+    // round.
+    const goToNext = () => {
+      if (branchTo) {
+        followUpId = branchTo;
+      } else {
+        followUpId = null;
+        currentIndex++;
+      }
+      if (currentIndex < quizData.length) {
+        renderCard({ focusCard: true });
+        changed();
+      } else {
+        finishRound();
+      }
+    };
+
+    // Round finished; show the score overlay before completing the
+    // scene so the result is in the course score.  The scene stays
+    // open while there are retries left to use.
+    const finishRound = () => {
+      const { score, max } = tally();
+      showScoreboard();
+      analytics.emit('quiz_complete', {
+        scene: scene.id,
+        score,
+        max,
+        passed: hasPassed(),
+        retriesUsed,
+        final: isOver(),
+        ...(timed ? { bonus, timeouts, points: score * POINTS_PER_ANSWER + bonus } : {})
+      });
+      roundReported = true;
+      if (isOver()) {
+        complete();
+      }
+      changed();
+    };
+
+    // Ask again only the questions missed so far.
+    const retryMissed = () => {
+      if (isOver()) return;
+      retriesUsed++;
+      analytics.emit('retry_clicked', { scene: scene.id, missed: missed.size });
+      roundIds = [...asked].filter((id) => missed.has(id));
+      buildRound();
+      currentIndex = 0;
+      followUpId = null;
+      answered = false;
+      roundReported = false;
+      if (scoreboard) {
+        scoreboard.style.display = 'none';
+      }
+      if (confettiContainer) {
+        confettiContainer.innerHTML = '';
+      }
+      renderCard({ focusCard: true });
+      changed();
+    };
+
+    // Show the card the learner is on, or the scoreboard when a
+    // restored session had already finished the round.  A session
+    // saved after the last answer but before Finish was pressed
+    // finishes the round now, as Finish would have.
+    const showCurrent = () => {
+      if (currentIndex < quizData.length) {
+        renderCard();
+      } else if (!roundReported) {
+        finishRound();
+      } else {
+        showScoreboard();
+      }
+    };
+
+    // Cancel the notification timers and return the bubble to its
+    // initial hidden state without playing the exit animation.
+    const clearNotification = () => {
+      if (!notificationEl) return;
+      clearTimeout(notificationEl._timeout);
+      clearTimeout(notificationEl._hideTimeout);
+      notificationEl.classList.remove('show', 'hide');
+      notificationEl.style.display = '';
+    };
+
+    // Reset the quiz state and hide the scoreboard.  The questions
+    // drawn for this session are kept.
+    const resetQuiz = () => {
+      stopTimer();
+      currentIndex = 0;
+      followUpId = null;
+      branchTo = null;
+      bonus = 0;
+      timeouts = 0;
+      answered = false;
+      roundReported = false;
+      roundIds = null;
+      asked = new Set();
+      missed = new Set();
+      path = [];
+      retriesUsed = 0;
+      buildRound();
+      if (scoreboard) {
+        scoreboard.style.display = 'none';
+      }
+      if (confettiContainer) {
+        confettiContainer.innerHTML = '';
+      }
+      if (quizCard) {
+        quizCard.classList.remove('correct', 'wrong');
+        setCardFace(false);
+      }
+      if (nextContainer) {
+        nextContainer.style.display = 'none';
+      }
+      clearNotification();
+    };
+
+    // Confetti generator.  Creates a set number of confetti pieces
+    // with random positions, colours and fall durations.  This
+    // effect is intentionally lightweight—no external libs are
+    // imported.  Confetti pieces are appended to the overlay’s
+    // confetti container and will automatically clean up when the
+    // overlay is hidden and restarted.
+    const launchConfetti = () => {
+      const pieceCount = 40;
+      if (!confettiContainer) return;
+      confettiContainer.innerHTML = '';
+      for (let i = 0; i < pieceCount; i++) {
+        const piece = document.createElement('div');
+        piece.className = 'confetti-piece';
+        const size = Math.random() * 6 + 4; // 4px – 10px
+        piece.style.width = `${size}px`;
+        piece.style.height = `${size}px`;
+        piece.style.background = confetti[i % confetti.length];
+        piece.style.left = `${Math.random() * 100}%`;
+        // Random animation duration and delay
+        const duration = 3 + Math.random() * 2; // 3–5 seconds
+        const delay = Math.random() * 0.5;
+        piece.style.animationDuration = `${duration}s`;
+        piece.style.animationDelay = `${delay}s`;
+        confettiContainer.appendChild(piece);
+      }
+    };
+
+    // Bind the next/finish, retry and certificate buttons
+    if (nextButton) {
+      nextButton.addEventListener('click', () => {
+        goToNext();
+      });
+    }
+    if (retryBtn) {
+      retryBtn.addEventListener('click', retryMissed);
+    }
+    if (certificateBtn && certificate) {
+      certificateBtn.addEventListener('click', () => {
+        certificate.open({
+          title: (loadedBank && loadedBank.title) || I18n.t('page.title'),
+          ...tally(),
+          date: new Date()
+        }, certificateBtn);
+      });
+    }
+    // Replace the quiz with an error panel listing every problem
+    // found in the question bank.
+    const showBankError = (err) => {
+      if (quizCard) {
+        quizCard.style.display = 'none';
+      }
+      if (!quizError) return;
+      const title = quizError.querySelector('.quiz-error-title');
+      const list = quizError.querySelector('.quiz-error-list');
+      if (title) {
+        title.textContent = err.message;
+      }
+      if (list) {
+        list.innerHTML = '';
+        (err.problems || []).forEach((problem) => {
+          const item = document.createElement('li');
+          item.textContent = problem;
+          list.appendChild(item);
+        });
+      }
+      quizError.style.display = 'flex';
+    };
+
+    // Draw this session's questions from the loaded bank.
+    const drawQuestions = () => {
+      followUps = new Map();
+      sessionData = QuestionBank.drawSession(loadedBank, SeededRandom.create(sessionSeed));
+      buildRound();
+    };
+
+    // The question bank starts loading as soon as the page does so it
+    // is ready by the time the learner reaches the scene.  The current
+    // card is only rendered if the scene is already showing; otherwise
+    // enter() does it.
+    bankLoad
+      .then(({ bank }) => {
+        loadedBank = bank;
+        drawQuestions();
+        if (active) {
+          showCurrent();
+        }
+      })
+      .catch(showBankError);
+
+    // Lifecycle hooks called by the deck controller.
+    return {
+      enter: () => {
+        active = true;
+        if (quizData.length) {
+          showCurrent();
+        }
+      },
+      exit: () => {
+        active = false;
+        stopTimer();
+        clearNotification();
+        narrator.stop();
+      },
+      reset: resetQuiz,
+      // Saved progress: the seed, the round and how far the learner
+      // got in it, including the follow‑up they are on, the questions
+      // asked and still missed, the path taken, the retries used and
+      // the result for the course score, with the timed mode points.  A
+      // card that has been answered counts as done, so resuming never
+      // lets the same card be scored twice; `reported` tells whether
+      // the end of the round has been reported yet.
+      snapshot: () => {
+        let position = { currentIndex, card: followUpId };
+        if (answered) {
+          position = branchTo
+            ? { currentIndex, card: branchTo }
+            : { currentIndex: currentIndex + 1, card: null };
+        }
+        return {
+          seed: sessionSeed,
+          round: roundIds,
+          ...position,
+          score: tally().score,
+          asked: [...asked],
+          missed: [...missed],
+          path,
+          retriesUsed,
+          bonus,
+          timeouts,
+          reported: roundReported,
+          total: sessionData.length,
+          result: result || { score: 0, max: sessionData.length }
+        };
+      },
+      // A state without a seed, as after deck.restart(), starts a new
+      // session with a seed of its own.
+      restore: (state) => {
+        const seed = state.seed || SeededRandom.resolveSeed();
+        if (seed !== sessionSeed) {
+          sessionSeed = seed;
+          if (loadedBank) {
+            drawQuestions();
+          }
+        }
+        roundIds = Array.isArray(state.round) ? state.round : null;
+        asked = new Set(Array.isArray(state.asked) ? state.asked : []);
+        missed = new Set(Array.isArray(state.missed) ? state.missed : []);
+        path = Array.isArray(state.path) ? state.path : [];
+        retriesUsed = Math.max(0, Number(state.retriesUsed) || 0);
+        buildRound();
+        currentIndex = Math.max(0, Number(state.currentIndex) || 0);
+        followUpId = typeof state.card === 'string' ? state.card : null;
+        bonus = Math.max(0, Number(state.bonus) || 0);
+        timeouts = Math.max(0, Number(state.timeouts) || 0);
+        roundReported = state.reported === true;
+        result = state.result && Number.isFinite(state.result.score) && Number.isFinite(state.result.max)
+          ? { score: state.result.score, max: state.result.max }
+          : null;
+      },
+      // Show a single question from the editor on the card, in place
+      // of the drawn session.  `flipped` turns it to the choices and
+      // `bank` is the bank being edited, whose questions the answers
+      // lead on to.
+      preview: (question, { flipped = false, bank = null } = {}) => {
+        previewBank = bank;
+        followUps = new Map();
+        resetQuiz();
+        sessionData = [question];
+        quizData = sessionData;
+        if (quizError) {
+          quizError.style.display = 'none';
+        }
+        if (quizCard) {
+          quizCard.style.display = '';
+        }
+        renderCard();
+        clearNotification();
+        if (flipped) {
+          setCardFace(true);
+        }
+      }
+    };
+  };
+
+  return { TIMED_SECONDS, TIMED_BONUS, POINTS_PER_ANSWER, setup };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuizScene;
+}
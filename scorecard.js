@@ -0,0 +1,43 @@
+/*
+ * Course score shared by every scored scene.  Each scene that awards
+ * points registers a reader returning its result as `{ score, max }`;
+ * the scorecard adds them up when asked, so the total always agrees
+ * with the scenes themselves.  Scenes start afresh on every visit, so
+ * the result a reader returns is the scene's latest finished attempt,
+ * which the scene keeps across visits and in its saved progress.
+ *
+ * The total is what the LMS receives when the deck is finished and
+ * what completion records store, and scenes show it in their
+ * summaries next to their own result.
+ */
+const Scorecard = (() => {
+  const create = () => {
+    const parts = new Map();
+
+    // Register a scene's score.  `read()` is called whenever the
+    // total is needed and returns `{ score, max }`, with a score of 0
+    // until the scene has been finished.
+    const track = (id, { title = id, read }) => {
+      parts.set(id, { title, read });
+    };
+
+    // Every scored scene's result, in registration order.
+    const breakdown = () => [...parts].map(([id, part]) => {
+      const { score = 0, max = 0 } = part.read() || {};
+      return { id, title: part.title, score, max };
+    });
+
+    const total = () => breakdown().reduce(
+      (sum, part) => ({ score: sum.score + part.score, max: sum.max + part.max }),
+      { score: 0, max: 0 }
+    );
+
+    return { track, breakdown, total };
+  };
+
+  return { create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Scorecard;
+}
@@ -1,531 +1,575 @@
 /*
  * Entry point for the interactive slide deck.  When the page loads
- * the script determines which scene to render based on the query
- * parameters in the URL.  It also wires up the event listeners for
- * the interactive exercise contained in the first scene.  Animation
+ * each scene registers itself with the deck controller, which then
+ * shows the scene named in the URL.  The scenes wire up their own
+ * event listeners for the interactive exercises.  Animation
  * sequences are orchestrated using GSAP for smooth and flexible
  * transitions.
  */
 
 // Wait until the DOM is fully loaded before initialising the page
-document.addEventListener('DOMContentLoaded', () => {
-  // Determine which scene should be displayed.  The user can pass
-  // ?scene1, ?scene2 or ?scene3 in the URL; if no recognised
-  // parameter is found the first scene is shown by default.
-  const setActiveScene = () => {
-    const search = window.location.search.toLowerCase();
-    let sceneId = 'scene1';
-    if (search.includes('scene2')) {
-      sceneId = 'scene2';
-    } else if (search.includes('scene3')) {
-      sceneId = 'scene3';
-    } else if (search.includes('scene1')) {
-      sceneId = 'scene1';
-    }
-    document.querySelectorAll('.scene').forEach(scene => {
-      scene.style.display = 'none';
-    });
-    const activeScene = document.getElementById(sceneId);
-    if (activeScene) {
-      activeScene.style.display = 'block';
+document.addEventListener('DOMContentLoaded', async () => {
+  // Pick the language and translate the static text before anything
+  // else renders (see i18n.js).  This never fails; without catalogs
+  // the English in the markup is used.
+  await I18n.init();
+  I18n.translatePage(document);
+  document.title = I18n.t('page.title');
+
+  // Dress the deck in the brand picked with `?theme=` (see theme.js)
+  // before any scene copies the logo.  A theme that fails to load
+  // leaves the default look.
+  let theme = {};
+  const themeName = Theme.resolveName();
+  if (themeName) {
+    try {
+      theme = await Theme.load(themeName);
+      Theme.apply(theme);
+    } catch (err) {
+      console.error(err.message, err.problems);
     }
+  }
+
+  // The deck controller (see deck.js) handles moving between scenes,
+  // the progress indicator and deep links.  Each scene below
+  // registers itself with it.
+  const deck = SlideDeck.create({ nav: document.querySelector('.deck-nav') });
+
+  // `?author` turns the page into the question bank editor (see
+  // question-editor.js).  Nothing is reported or saved while authoring.
+  const authorMode = new URLSearchParams(window.location.search).has('author');
+
+  // Report progress to an LMS when the deck was launched from one
+  // (see lms.js).  Without an LMS this is a no‑op reporter.
+  const lms = authorMode ? LmsReporter.createNoopReporter() : LmsReporter.connect();
+  lms.start();
+  window.addEventListener('pagehide', () => lms.terminate());
+
+  // `?learner=<id>` tags completion records and analytics events with
+  // the learner.  In kiosk mode each learner may enter their own.
+  let learnerId = new URLSearchParams(window.location.search).get('learner');
+
+  // `?kiosk` runs the deck on a shared terminal (see kiosk.js and the
+  // end of this file).
+  const kioskOptions = authorMode ? null : Kiosk.resolve();
+  // True while a kiosk shows its attract screen, when nobody is
+  // taking the training.
+  let awaitingLearner = Boolean(kioskOptions);
+
+  // Structured events for learning analytics (see analytics.js), such
+  // as which questions are answered wrongly and how long answers take.
+  // Nothing is collected while authoring.
+  const analytics = authorMode
+    ? Analytics.create()
+    : Analytics.connect({ context: learnerId ? { learner: learnerId } : {} });
+
+  // Start loading the scene 2 question bank straight away, in the
+  // page language when a translation exists.  Besides the quiz itself,
+  // saved progress needs the bank's path and version to tell whether
+  // a save is still valid.
+  const bankLoad = QuestionBank.loadLocalised(
+    QuestionBank.resolvePath(),
+    I18n.lang !== I18n.DEFAULT_LANG ? I18n.lang : null
+  );
+
+  // The scene 3 email samples load alongside it (see email-samples.js).
+  const emailsLoad = EmailSamples.load(
+    EmailSamples.DEFAULT_PATH,
+    I18n.lang !== I18n.DEFAULT_LANG ? I18n.lang : null
+  );
+
+  // Every scored scene adds its result to the course score (see
+  // scorecard.js), which is reported once the deck is finished.
+  const scorecard = Scorecard.create();
+  // Scenes save their latest result with their progress.  It is read
+  // from the deck's snapshot, which also covers a resumed scene that
+  // has not been shown again yet.
+  const resultOf = (id) => {
+    const entry = deck.snapshot().scenes[id];
+    return (entry && entry.state && entry.state.result) || { score: 0, max: 0 };
   };
 
-  setActiveScene();
-
-  // Grab scene 1 if present and attach interactivity.  Scenes 2 and 3
-  // remain placeholders for future content.
-  const scene1 = document.getElementById('scene1');
-  if (scene1) {
-    // Animate the monitor wrapper into view on page load
-    const monitorWrapper = scene1.querySelector('.monitor-wrapper');
-    // Grab the inner container used exclusively for the shake effect.  By
-    // separating the element that gets the shake animation from the
-    // wrapper responsible for centring, we avoid overriding
-    // transform values that would otherwise shift the monitor out of
-    // position.
-    const monitorShakeContainer = scene1.querySelector('.monitor-shake-container');
-    if (monitorWrapper) {
-      gsap.from(monitorWrapper, { duration: 1.0, y: 50, scale: 0.9, opacity: 0, ease: 'back.out(1.7)' });
-    }
-    const card = scene1.querySelector('.card');
-    const typedText = scene1.querySelector('#typed-text');
-    const lockBtn = scene1.querySelector('#lock-btn');
-    const ignoreBtn = scene1.querySelector('#ignore-btn');
-    const lockedOverlay = scene1.querySelector('.locked-overlay');
-    const errorOverlayNew = scene1.querySelector('.error-overlay-new');
-    const padlock = scene1.querySelector('.locked-padlock');
-    const lockedText = scene1.querySelector('.locked-text');
-    // Newly added elements to provide positive feedback when the
-    // correct action is selected.  These elements are optional
-    // (older versions of the DOM may not include them) so always
-    // check for existence before animating.
-    const successCheck = scene1.querySelector('.success-check');
-    const lockedSubtext = scene1.querySelector('.locked-subtext');
-
-    // Helper to disable buttons
-    const disableButtons = (state) => {
-      lockBtn.disabled = state;
-      ignoreBtn.disabled = state;
+  // Screen‑reader announcements go through a single polite live
+  // region.  Clearing it first makes the same message (two wrong
+  // answers in a row, say) be read out again.
+  const liveStatus = document.getElementById('live-status');
+  const announce = (message) => {
+    if (!liveStatus) return;
+    liveStatus.textContent = '';
+    setTimeout(() => {
+      liveStatus.textContent = message;
+    }, 50);
+  };
+
+  // Scale the 600×600 slide to the screen, now and whenever the
+  // window is resized or the device rotated (see frame.js).
+  const frame = ResponsiveFrame.create({
+    frame: document.querySelector('.slide-frame'),
+    slide: document.getElementById('slide-container')
+  });
+
+  // Honour the operating system's reduced‑motion setting.  The shake,
+  // card flip and confetti are skipped (see also the media query in
+  // style.css).  GSAP sequences still run so their end states and
+  // callbacks apply, but the global timeline is sped up so they finish
+  // practically at once.
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const applyMotionPreference = () => {
+    gsap.globalTimeline.timeScale(reducedMotion.matches ? 1000 : 1);
+  };
+  applyMotionPreference();
+  reducedMotion.addEventListener('change', applyMotionPreference);
+
+  // The certificate dialog offered on the quiz scoreboard once the
+  // learner has passed (see certificate.js).
+  const certificateRoot = document.getElementById('certificate-dialog');
+  const themeFonts = theme.fonts || {};
+  const certificate = certificateRoot ? Certificate.createDialog({
+    root: certificateRoot,
+    sheet: document.getElementById('certificate-sheet'),
+    logo: theme.logo,
+    font: I18n.isRtl() ? themeFonts.rtl : themeFonts.body
+  }) : null;
+
+  // Narration, feedback sounds and captions (see narration.js), which
+  // the learner can mute from the navigation.  The editor's preview
+  // stays silent.
+  const narrator = authorMode
+    ? Narrator.silent
+    : Narrator.create({ caption: document.getElementById('captions') });
+  const soundToggle = document.querySelector('.deck-sound');
+  if (soundToggle && !authorMode) {
+    const showSound = () => {
+      soundToggle.setAttribute('aria-pressed', String(narrator.muted));
     };
+    soundToggle.hidden = false;
+    soundToggle.addEventListener('click', () => narrator.setMuted(!narrator.muted));
+    narrator.onChange(showSound);
+    showSound();
+  }
 
-    // Animate the card onto the screen on load
-    gsap.from(card, { duration: 0.8, scale: 0.8, opacity: 0, ease: 'back.out(1.5)' });
-
-    // Initialise the typed effect for the prompt message
-    const typed = new Typed('#typed-text', {
-      strings: ["You're stepping away — what should you do?"],
-      typeSpeed: 40,
-      backSpeed: 0,
-      showCursor: false,
-      onComplete: () => {
-        // Animate the buttons into view once typing finishes
-        const btns = scene1.querySelectorAll('.card-buttons .btn');
-        // Use fromTo rather than from to ensure the final state
-        // overrides the initial opacity/transform set in CSS.  This
-        // prevents the buttons from remaining hidden when the
-        // animation completes.
-        gsap.fromTo(btns,
-          { y: 30, opacity: 0 },
-          { duration: 0.6, y: 0, opacity: 1, stagger: 0.15, ease: 'back.out(1.6)' }
-        );
-      }
+  // ===========================
+  // Scene 1 – Lock‑the‑screen challenge
+  //
+  // Scene 1 is a "decision on the monitor" scene built from the
+  // "lock-screen" scenario (see monitor-scene.js and scenarios.json).
+  // More monitor scenes are added the same way: an element with
+  // `data-monitor-scenario` in index.html, an entry in scenarios.json
+  // and a call to registerMonitorScene() in deck order.  A scenarios
+  // file that fails to load replaces the scene with the problems
+  // found, and the scene then no longer blocks the deck.
+  let scenarios = null;
+  let scenariosError = null;
+  try {
+    scenarios = await MonitorScene.load(
+      MonitorScene.DEFAULT_PATH,
+      I18n.lang !== I18n.DEFAULT_LANG ? I18n.lang : null
+    );
+  } catch (err) {
+    scenariosError = err;
+    console.error(err.message, err.problems);
+  }
+
+  const registerMonitorScene = (id) => {
+    const element = document.getElementById(id);
+    const scenarioId = element ? element.dataset.monitorScenario : null;
+    const scenario = scenarios && scenarioId ? MonitorScene.find(scenarios, scenarioId) : null;
+    if (element && !scenario) {
+      MonitorScene.renderError(element, scenariosError || new MonitorScene.MonitorSceneError(
+        I18n.t('monitor.loadError'),
+        [`No scenario has the id "${scenarioId}".`]
+      ));
+    }
+    deck.register({
+      id,
+      title: scenario ? scenario.title || scenario.id : id,
+      element,
+      requiresCompletion: Boolean(scenario),
+      setup: scenario ? MonitorScene.setup(scenario, {
+        onDecision: (action) => {
+          lms.recordDecision({ id: `${id}-${scenario.id}`, choice: action.label, correct: action.correct });
+          const answer = scenario.actions.find((candidate) => candidate.correct);
+          analytics.emit('choice_selected', {
+            scene: id,
+            question: scenario.id,
+            chosen: action.label,
+            correctAnswer: answer ? answer.label : '',
+            correct: action.correct
+          });
+        },
+        onRetried: () => analytics.emit('retry_clicked', { scene: id, question: scenario.id }),
+        announce,
+        reducedMotion,
+        narrator
+      }) : null
     });
+  };
 
-    // Sequence executed when Lock Screen is chosen
-    const runLockSequence = () => {
-      disableButtons(true);
-      // Grab the new lock toggle used for the micro‑interaction
-      const lockToggle = scene1.querySelector('#lock-toggle');
-      // Ensure the toggle starts unchecked so the button appears in
-      // its "unlocked" colour before the animation plays.  When the
-      // overlay fades in we will check the toggle to trigger the
-      // micro‑interaction.  Resetting the toggle here prevents it
-      // from retaining a checked state across multiple runs.
-      if (lockToggle) {
-        lockToggle.checked = false;
-      }
-      const tl = gsap.timeline();
-      // Shrink and fade out the card to reveal the overlay beneath.
-      tl.to(card, { duration: 0.5, scale: 0.85, opacity: 0, ease: 'power2.inOut' });
-      // Fade in the locked overlay.  When the overlay begins to fade
-      // in we toggle the hidden checkbox to start the micro
-      // animation on the padlock.
-      tl.to(lockedOverlay, {
-        duration: 0.6,
-        opacity: 1,
-        ease: 'power2.out',
-        onStart: () => {
-          // Delay the toggle change slightly to allow the user to
-          // perceive the red "unlock" state of the button for a brief
-          // moment before it animates to locked.  The delayed call is
-          // scheduled via GSAP for consistency with the rest of the
-          // timeline.
-          gsap.delayedCall(0.4, () => {
-            if (lockToggle) {
-              lockToggle.checked = true;
-            }
+  registerMonitorScene('scene1');
+
+  // ===========================
+  // Scene 2 – Flip quiz logic
+  //
+  // The flip quiz lives in quiz-scene.js; the page hands it the
+  // question bank and everything it reports to.  `?mode=timed` turns
+  // it into a timed challenge for refresher sessions.
+  const timed = !authorMode && new URLSearchParams(window.location.search).get('mode') === 'timed';
+
+  // The quiz hooks are kept for authoring mode, which previews
+  // questions on the quiz card.
+  let quizScene = null;
+  deck.register({
+    id: 'scene2',
+    title: I18n.t('scene2.title'),
+    element: document.getElementById('scene2'),
+    requiresCompletion: true,
+    setup: (element, handle) => {
+      quizScene = QuizScene.setup({
+        bankLoad,
+        timed,
+        lms,
+        analytics,
+        announce,
+        reducedMotion,
+        certificate,
+        frame,
+        narrator,
+        confetti: theme.confetti
+      })(element, handle);
+      return quizScene;
+    }
+  });
+  scorecard.track('scene2', { title: I18n.t('scene2.title'), read: () => resultOf('scene2') });
+
+  // ===========================
+  // Scene 3 – Phishing email inspection
+  //
+  // The email inspection lives in inspect-scene.js.  The samples are
+  // needed before the scene can be registered, since without them it
+  // has nothing to complete.  Samples that fail to load or validate
+  // are listed in place of the email instead.
+  let samples = null;
+  try {
+    samples = await emailsLoad;
+  } catch (err) {
+    console.error(err.message, err.problems);
+    const scene3 = document.getElementById('scene3');
+    if (scene3) {
+      InspectScene.renderError(scene3, err);
+    }
+  }
+  deck.register({
+    id: 'scene3',
+    title: I18n.t('scene3.title'),
+    element: document.getElementById('scene3'),
+    requiresCompletion: Boolean(samples),
+    setup: samples ? InspectScene.setup(samples, {
+      lms,
+      announce,
+      courseScore: () => scorecard.total()
+    }) : null
+  });
+  scorecard.track('scene3', { title: I18n.t('scene3.title'), read: () => resultOf('scene3') });
+
+  // ===========================
+  // Scene 4 – Safe or breach?
+  //
+  // Scene 4 is a drag‑and‑drop sorting scene built from the
+  // "safe-or-breach" exercise (see sort-scene.js and sorting.json).
+  // More sorting scenes are added like monitor scenes: an element with
+  // `data-sort-exercise` in index.html, an entry in sorting.json and a
+  // call to registerSortScene() in deck order.  Each card's first drop
+  // is reported to the LMS as an answer.
+  let exercises = null;
+  let exercisesError = null;
+  try {
+    exercises = await SortScene.load(
+      SortScene.DEFAULT_PATH,
+      I18n.lang !== I18n.DEFAULT_LANG ? I18n.lang : null
+    );
+  } catch (err) {
+    exercisesError = err;
+    console.error(err.message, err.problems);
+  }
+
+  const registerSortScene = (id) => {
+    const element = document.getElementById(id);
+    const exerciseId = element ? element.dataset.sortExercise : null;
+    const exercise = exercises && exerciseId ? SortScene.find(exercises, exerciseId) : null;
+    if (element && !exercise) {
+      SortScene.renderError(element, exercisesError || new SortScene.SortSceneError(
+        I18n.t('sort.loadError'),
+        [`No exercise has the id "${exerciseId}".`]
+      ));
+    }
+    const title = exercise ? exercise.title || exercise.id : id;
+    deck.register({
+      id,
+      title,
+      element,
+      requiresCompletion: Boolean(exercise),
+      setup: exercise ? SortScene.setup(exercise, {
+        onAnswer: (item, bucket, correct) => {
+          const answer = exercise.buckets.find((candidate) => candidate.id === item.bucket);
+          lms.recordAnswer({
+            id: `${id}-${item.id}`,
+            response: bucket.label,
+            correctResponse: answer.label,
+            correct
           });
-        }
-      }, '-=0.3');
-      // Fade in the locked text
-      tl.fromTo(lockedText, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.6, ease: 'power2.out' }, '-=0.4');
-      // Animate the success checkmark if present
-      if (successCheck) {
-        tl.fromTo(successCheck, { opacity: 0, scale: 0.5, transformOrigin: '50% 50%' }, { opacity: 1, scale: 1, duration: 0.6, ease: 'elastic.out(1, 0.6)' }, '-=0.4');
-      }
-      // Animate the subtext if present
-      if (lockedSubtext) {
-        tl.fromTo(lockedSubtext, { opacity: 0, y: 20 }, { opacity: 1, y: 0, duration: 0.6, ease: 'power2.out' }, '-=0.3');
-      }
-    };
+          analytics.emit('choice_selected', {
+            scene: id,
+            question: item.id,
+            chosen: bucket.label,
+            correctAnswer: answer.label,
+            correct
+          });
+        },
+        announce,
+        courseScore: () => scorecard.total()
+      }) : null
+    });
+    if (exercise) {
+      scorecard.track(id, { title, read: () => resultOf(id) });
+    }
+  };
 
-    // Sequence executed when Do Nothing is chosen
-    const runErrorSequence = () => {
-      // When the wrong choice is selected, display the error overlay and
-      // keep it visible until the user dismisses it via the retry
-      // button.  The card is faded out and slightly shrunk to hint
-      // that the underlying interface is still present.  A shake
-      // animation reinforces the mistake.
-      disableButtons(true);
-      // Shrink the card and fade it to make room for the error overlay
-      gsap.to(card, { duration: 0.3, scale: 0.92, opacity: 0, ease: 'power1.inOut' });
-      // Fade in the error overlay
-      gsap.to(errorOverlayNew, { duration: 0.4, opacity: 1, ease: 'power2.out' });
-      // Apply a shake to the monitor while the error appears
-      if (monitorShakeContainer) {
-        monitorShakeContainer.classList.add('shake');
-        // Remove the shake class after the animation duration
-        gsap.delayedCall(0.7, () => {
-          monitorShakeContainer.classList.remove('shake');
-        });
-      }
-      // Add a one‑time click handler to the retry button.  When
-      // clicked, the overlay will fade out and the card will return
-      // to its original state.  Buttons are re‑enabled once the
-      // animation completes.
-      const retryBtn = scene1.querySelector('.retry-btn');
-      const onRetry = () => {
-        // Remove this handler to avoid multiple bindings
-        retryBtn.removeEventListener('click', onRetry);
-        // Fade out the overlay and restore the card
-        const tl = gsap.timeline({ onComplete: () => {
-          // Disable pointer events on the overlay once hidden and
-          // re‑enable the card buttons
-          errorOverlayNew.style.pointerEvents = 'none';
-          disableButtons(false);
-        } });
-        tl.to(errorOverlayNew, { duration: 0.4, opacity: 0, ease: 'power1.inOut' });
-        tl.to(card, { duration: 0.4, scale: 1, opacity: 1, ease: 'power2.out' }, '-=0.3');
-      };
-      if (retryBtn) {
-        // Ensure the overlay is interactive while visible
-        errorOverlayNew.style.pointerEvents = 'auto';
-        retryBtn.addEventListener('click', onRetry);
-      }
-    };
+  registerSortScene('scene4');
 
-    // Button click handlers
-    lockBtn.addEventListener('click', runLockSequence);
-    ignoreBtn.addEventListener('click', runErrorSequence);
+  // ===========================
+  // Authoring mode
+  //
+  // The editor takes the place of the deck: only the quiz scene is
+  // shown, as a live preview of the question being edited, and the
+  // deck is never started, so there is no navigation and no saved
+  // progress.  The editor starts from the bank the page loaded, or an
+  // empty one when that failed.
+  if (authorMode) {
+    const panel = document.getElementById('author-panel');
+    const scene2 = document.getElementById('scene2');
+    const nav = document.querySelector('.deck-nav');
+    if (!panel || !scene2 || !quizScene) return;
+    document.body.classList.add('authoring');
+    panel.hidden = false;
+    if (nav) {
+      nav.style.display = 'none';
+    }
+    scene2.style.display = 'block';
+    quizScene.reset();
+    const loaded = await bankLoad.catch(() => null);
+    QuestionEditor.create({
+      root: panel,
+      bank: loaded ? loaded.bank : null,
+      fileName: loaded ? loaded.path.split('/').pop() : QuestionBank.DEFAULT_PATH,
+      onPreview: quizScene.preview
+    });
+    return;
   }
 
+  // Record every scene the learner is shown.
+  let enteredScene = null;
+  deck.onChange(() => {
+    if (awaitingLearner) {
+      enteredScene = null;
+      return;
+    }
+    const scene = deck.current;
+    if (!scene || scene === enteredScene) return;
+    enteredScene = scene;
+    analytics.emit('scene_enter', { scene: scene.id, title: scene.title });
+  });
+
+  // Report the course score to the LMS once every gated scene is done,
+  // against the bank's pass mark when it sets one.  The result is
+  // reported once per LMS session: the launch stands for one learner's
+  // attempt, and a SCORM session cannot be started again once it has
+  // been finished, so later runs through the deck (a kiosk's next
+  // learner, say) are not sent to it; the reporter ignores them too
+  // (see lms.js).
+  let bankPassMark = null;
+  bankLoad.then(({ bank }) => {
+    bankPassMark = bank.passMark !== undefined ? bank.passMark : null;
+  }, () => {});
+  let finishReported = false;
+  deck.onChange(() => {
+    if (finishReported || !deck.isFinished()) return;
+    finishReported = true;
+    lms.finish({ ...scorecard.total(), passMark: bankPassMark });
+  });
+
+  deck.start();
+
   // ===========================
-  // Scene 2 – Flip quiz logic
+  // Analytics export (`?analytics=export`)
   //
-  // The second scene presents a series of scenario cards.  Users
-  // click a card to flip it over and choose the correct answer.
-  // Feedback colours and messages reinforce learning.  After all
-  // questions are completed a scoreboard appears summarising the
-  // score.  A small confetti effect plays on a perfect score.
-  const scene2 = document.getElementById('scene2');
-  if (scene2) {
-    // Elements from the DOM
-    const quizCard = scene2.querySelector('#quiz-card');
-    const cardInner = quizCard ? quizCard.querySelector('.quiz-card-inner') : null;
-    const front = quizCard ? quizCard.querySelector('.quiz-card-front .scenario-text') : null;
-    const backChoices = quizCard ? quizCard.querySelector('.quiz-card-back .choice-container') : null;
-    const nextContainer = scene2.querySelector('.quiz-next');
-    const nextButton = nextContainer ? nextContainer.querySelector('button') : null;
-    const scoreboard = scene2.querySelector('#scoreboard');
-    const scoreBox = scoreboard ? scoreboard.querySelector('.score-box') : null;
-    const scoreText = scoreboard ? scoreboard.querySelector('.score-text') : null;
-    const restartBtn = scoreboard ? scoreboard.querySelector('.restart-btn') : null;
-    const confettiContainer = scoreboard ? scoreboard.querySelector('.confetti-container') : null;
-
-    // Grab the notification element added above the quiz card.  This
-    // popup will prompt the user to interact with the first card.
-    const notificationEl = scene2.querySelector('.notifications');
-    const quizContainer = scene2.querySelector('.quiz-container');
-
-    // Define the quiz content.  Each entry includes a scenario and
-    // three choice objects with text, correctness and feedback
-    // messages.  The order of choices is maintained as defined.
-    const quizData = [
-      {
-        scenario: "An employee uses their personal phone to take a picture of a workplace incident.",
-        choices: [
-          { text: 'Breach of Policy', correct: true, message: 'Using personal phones for incident reports is risky. Use official devices.' },
-          { text: 'Safe Practice', correct: false, message: 'Even for good intentions, personal devices are not secure.' },
-          { text: 'Encouraged for Transparency', correct: false, message: 'Transparency matters — but security protocols come first.' }
-        ]
-      },
-      {
-        scenario: "You find a USB drive labeled “Staff Menu 2024” in the pantry.",
-        choices: [
-          { text: 'Report to IT Immediately', correct: true, message: 'It could be a bait. Never plug unknown devices.' },
-          { text: 'Plug It In to Check Contents', correct: false, message: 'Could contain malware or keyloggers.' },
-          { text: 'Leave It on the Table', correct: false, message: 'Someone else may fall into the trap.' }
-        ]
-      },
-      {
-        scenario: "Someone walks behind you and says: ‘I\'m from the audit team, can you hold the door?’",
-        choices: [
-          { text: 'Politely Refuse and Ask for ID', correct: true, message: 'Always verify. No badge = no access.' },
-          { text: 'Hold the Door', correct: false, message: 'Could be social engineering. Tailgating is a real threat.' },
-          { text: 'Assume They\'re an Employee', correct: false, message: 'Never assume. It’s your responsibility to check.' }
-        ]
-      },
-      {
-        scenario: "You spot a coworker’s password written on a sticky note stuck to their monitor.",
-        choices: [
-          { text: 'Remind Them & Report to IT If Needed', correct: true, message: 'Writing passwords down puts systems at risk.' },
-          { text: 'Ignore It', correct: false, message: 'Ignoring puts your team in danger.' },
-          { text: 'Take Note for Emergency Use', correct: false, message: 'That’s unauthorized access — a serious offence.' }
-        ]
-      },
-      {
-        scenario: "A colleague sends a customer’s allergy info in a WhatsApp message for delivery coordination.",
-        choices: [
-          { text: 'Data Breach', correct: true, message: 'Personal apps are not protected. Use official tools only.' },
-          { text: 'OK for Quick Tasks', correct: false, message: 'Speed doesn’t justify insecure sharing.' },
-          { text: 'Not an Issue if Deleted Later', correct: false, message: 'Data can be backed up to cloud even after deletion.' }
-        ]
+  // A trainer can download the events buffered on this device as CSV
+  // or JSON, or clear them once collected.
+  const analyticsPanel = document.getElementById('analytics-panel');
+  if (analyticsPanel && analytics.showExport) {
+    const countText = analyticsPanel.querySelector('.analytics-count');
+    const updateCount = () => {
+      if (countText) {
+        countText.textContent = I18n.t('analytics.count', { count: analytics.buffer.events().length });
       }
-    ];
-
-    let currentIndex = 0;
-    let score = 0;
-    let answered = false;
-
-    // Helper to position the notification relative to the quiz card.
-    // This computes the card’s location within the quiz container and
-    // centres the bubble horizontally above it.  A small gap is
-    // inserted to separate the bubble from the card.
-    const positionNotification = () => {
-      if (!notificationEl || !quizCard || !quizContainer) return;
-      const cardRect = quizCard.getBoundingClientRect();
-      const containerRect = quizContainer.getBoundingClientRect();
-      const gap = 12; // distance in pixels between the card and bubble
-      const top = cardRect.top - containerRect.top - gap;
-      const left = cardRect.left - containerRect.left + cardRect.width / 2;
-      notificationEl.style.top = `${top}px`;
-      notificationEl.style.left = `${left}px`;
-      notificationEl.style.transform = 'translateX(-50%)';
     };
-
-    // Show the notification using the CSS animation.  This function
-    // recalculates the bubble position before revealing it.  It
-    // removes any hide class and applies the show class which
-    // triggers the entrance animation defined in the CSS.
-    const showNotification = () => {
-      if (!notificationEl) return;
-      positionNotification();
-      // Reset classes and reveal the element
-      notificationEl.classList.remove('hide');
-      notificationEl.classList.add('show');
+    const exportEvents = (text, type, extension) => {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([text], { type }));
+      link.download = `analytics-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
     };
+    analyticsPanel.querySelector('.analytics-csv').addEventListener('click', () => {
+      exportEvents(analytics.buffer.toCsv(), 'text/csv', 'csv');
+    });
+    analyticsPanel.querySelector('.analytics-json').addEventListener('click', () => {
+      exportEvents(analytics.buffer.toJson(), 'application/json', 'json');
+    });
+    analyticsPanel.querySelector('.analytics-clear').addEventListener('click', () => {
+      analytics.buffer.clear();
+      updateCount();
+    });
+    analytics.addSink({ send: updateCount });
+    updateCount();
+    analyticsPanel.hidden = false;
+  }
 
-    // Hide the notification with a reverse animation.  After the
-    // animation completes the element is set to display: none to
-    // prevent interaction.  This function gracefully handles cases
-    // where the notification has not been shown.
-    const hideNotification = () => {
-      if (!notificationEl) return;
-      // Only proceed if currently shown
-      if (!notificationEl.classList.contains('show')) return;
-      notificationEl.classList.remove('show');
-      notificationEl.classList.add('hide');
-      // After the hide animation finishes (duration 0.8s), set
-      // display: none so the element no longer occupies space.
-      setTimeout(() => {
-        // Only hide if still marked as hidden to avoid race conditions
-        if (notificationEl.classList.contains('hide')) {
-          notificationEl.style.display = 'none';
-        }
-      }, 800);
-    };
+  // ===========================
+  // Saved progress (see progress.js)
+  //
+  // Every change in the deck is saved so an interrupted session can
+  // be resumed.  Once the bank has loaded, an unfinished session saved
+  // against it is offered back to the learner.  Nothing is saved until
+  // they have answered that prompt, so the session starting behind it
+  // cannot overwrite the one they may want to resume.  A finished
+  // session is turned into a completion record instead.
+  const progress = ProgressStore.create();
+  const resumePrompt = document.getElementById('resume-prompt');
+  let bankKey = null;
+  let saving = false;
+  let completionRecorded = false;
 
-    // Render the current card front and back choices
-    const renderCard = (idx) => {
-      const data = quizData[idx];
-      // Populate the scenario text
-      if (front) {
-        front.textContent = data.scenario;
-      }
-      // Clear previous choices and explanations
-      if (backChoices) {
-        backChoices.innerHTML = '';
-      }
-      const back = quizCard ? quizCard.querySelector('.quiz-card-back') : null;
-      if (back) {
-        // Remove any explanation element from previous question
-        const expl = back.querySelector('.explanation');
-        if (expl) expl.remove();
-      }
-      // Create choice buttons.  Shuffle the order of choices
-      // so that the correct answer is not always in the first position.
-      const choices = [...data.choices];
-      choices.sort(() => Math.random() - 0.5);
-      choices.forEach((choice) => {
-        const btn = document.createElement('button');
-        btn.className = 'choice';
-        btn.textContent = choice.text;
-        btn.dataset.correct = choice.correct;
-        btn.dataset.message = choice.message;
-        btn.addEventListener('click', onSelectChoice);
-        if (backChoices) {
-          backChoices.appendChild(btn);
-        }
-      });
-      // Reset flags and classes
-      answered = false;
-      quizCard.classList.remove('correct', 'wrong');
-      // Hide next button until the user answers
-      if (nextContainer) {
-        nextContainer.style.display = 'none';
-      }
-      if (nextButton) {
-        nextButton.textContent = (idx < quizData.length - 1) ? 'Next' : 'Finish';
-      }
-      // Ensure the card is showing the front when a new card is rendered
-      quizCard.classList.remove('flipped');
-
-      // Show the notification on the first card only.  When the
-      // first card is rendered (idx === 0) we schedule the pop up
-      // after a short delay.  For subsequent cards the notification
-      // remains hidden.  Any pending timeouts from prior runs are
-      // cleared to avoid multiple triggers.
-      if (notificationEl) {
-        // Clear any existing timers stored on the element
-        if (notificationEl._timeout) {
-          clearTimeout(notificationEl._timeout);
-        }
-        if (idx === 0) {
-          // Delay showing the notification by 1 second to give
-          // users a moment to orient themselves.  Leave the element
-          // hidden until the animation begins to avoid flashing it
-          // at the top of the frame.
-          notificationEl._timeout = setTimeout(() => {
-            showNotification();
-          }, 1000);
-        } else {
-          // Hide the notification immediately for all other cards
-          hideNotification();
-        }
-      }
-    };
+  const saveProgress = () => {
+    if (!saving) return;
+    if (!deck.isFinished()) {
+      progress.save(bankKey, deck.snapshot());
+      return;
+    }
+    if (completionRecorded) return;
+    completionRecorded = true;
+    const quiz = deck.snapshot().scenes.scene2;
+    const { score, max } = scorecard.total();
+    progress.recordCompletion({
+      learner: learnerId,
+      bank: bankKey,
+      seed: quiz && quiz.state ? quiz.state.seed : undefined,
+      score,
+      max
+    });
+    progress.clear();
+  };
 
-    // Handle card front click to flip
-    if (quizCard) {
-      quizCard.addEventListener('click', (e) => {
-        // Only flip when clicking on the front face and not yet flipped
-        // Avoid flipping again if the card has already been flipped or answered
-        if (!quizCard.classList.contains('flipped') && !answered) {
-          // Determine if the click originated within the front face
-          const rect = quizCard.getBoundingClientRect();
-          // Simple check: if the inner container hasn't been rotated yet, flip
-          quizCard.classList.add('flipped');
-        }
-
-        // If the notification is visible when the user interacts with
-        // the card, hide it smoothly.  This ensures the bubble does
-        // not linger after the interaction has begun.  The event
-        // listener uses a check rather than relying on `once` so
-        // subsequent clicks during the same card do not re‑show the
-        // notification.  The hideNotification function guards
-        // against running twice.
-        if (notificationEl) {
-          hideNotification();
-        }
-      });
+  deck.onChange(saveProgress);
+
+  // Hide the prompt and start saving from the current state.
+  const closeResumePrompt = () => {
+    if (resumePrompt) {
+      resumePrompt.style.display = 'none';
     }
+    saving = true;
+    saveProgress();
+  };
 
-    // Choice selection handler
-    const onSelectChoice = (e) => {
-      if (answered) return;
-      answered = true;
-      const btn = e.currentTarget;
-      const isCorrect = btn.dataset.correct === 'true';
-      // Apply feedback classes to the card and button
-      if (isCorrect) {
-        score++;
-        btn.classList.add('correct');
-        quizCard.classList.add('correct');
-      } else {
-        btn.classList.add('wrong');
-        quizCard.classList.add('wrong');
-      }
-      // Disable all choice buttons and highlight the correct one
-      const allChoices = backChoices ? backChoices.querySelectorAll('.choice') : [];
-      allChoices.forEach((b) => {
-        b.disabled = true;
-        if (b !== btn && b.dataset.correct === 'true') {
-          b.classList.add('correct');
-        }
+  // Ask whether to resume the saved session or start over.
+  const offerResume = (saved) => {
+    const continueBtn = resumePrompt.querySelector('.resume-continue');
+    const restartBtn = resumePrompt.querySelector('.resume-restart');
+    const savedText = resumePrompt.querySelector('.resume-saved-at');
+    if (savedText) {
+      savedText.textContent = I18n.t('resume.savedAt', {
+        date: new Date(saved.savedAt).toLocaleString(I18n.lang)
       });
-      // Display explanation message
-      const message = btn.dataset.message;
-      const expl = document.createElement('div');
-      expl.className = 'explanation';
-      expl.textContent = message;
-      const back = quizCard.querySelector('.quiz-card-back');
-      back.appendChild(expl);
-      // Show next/finish button
-      if (nextContainer) {
-        nextContainer.style.display = 'block';
-      }
-    };
+    }
+    continueBtn.addEventListener('click', () => {
+      deck.restore(saved.deck);
+      closeResumePrompt();
+    }, { once: true });
+    restartBtn.addEventListener('click', () => {
+      progress.clear();
+      closeResumePrompt();
+    }, { once: true });
+    resumePrompt.style.display = 'flex';
+    continueBtn.focus();
+  };
 
-    // Advance to the next card or show the scoreboard
-    const goToNext = () => {
-      currentIndex++;
-      if (currentIndex < quizData.length) {
-        renderCard(currentIndex);
+  bankLoad
+    .then(({ path, bank }) => {
+      bankKey = `${path}@${bank.version || '0'}`;
+      const saved = progress.load(bankKey);
+      const hasProgress = saved && (saved.deck.scene > 0 ||
+        Object.values(saved.deck.scenes || {}).some((entry) => entry.completed));
+      // A kiosk never offers one learner's session to the next.
+      if (hasProgress && resumePrompt && !kioskOptions) {
+        offerResume(saved);
       } else {
-        // Quiz finished; show score overlay
-        if (scoreText) {
-          scoreText.textContent = `Score: ${score}/${quizData.length}`;
-        }
-        if (scoreboard) {
-          scoreboard.style.display = 'flex';
-        }
-        // Trigger confetti on perfect score
-        if (score === quizData.length) {
-          launchConfetti();
-        }
+        closeResumePrompt();
       }
-    };
+    })
+    .catch(() => {
+      // Without a valid bank there is nothing a save could be checked
+      // against, so progress is simply not saved.
+    });
 
-    // Restart the quiz
-    const restartQuiz = () => {
-      currentIndex = 0;
-      score = 0;
-      answered = false;
-      if (scoreboard) {
-        scoreboard.style.display = 'none';
+  // ===========================
+  // Kiosk mode
+  //
+  // Every learner on a shared terminal starts from a fresh deck.  A
+  // reset closes any dialog left open, starts the deck over and drops
+  // the saved progress, so the next completion record belongs to the
+  // next learner.  The LMS session is left alone: it belongs to the
+  // launch, which has already reported its result if a learner
+  // finished (see above), so each learner's result on a kiosk is in
+  // the completion records rather than the LMS.
+  //
+  // The reset runs when the terminal has been left alone and again
+  // when a learner starts, so the first scene plays from the beginning
+  // in front of them.
+  const attract = document.getElementById('kiosk-attract');
+  if (kioskOptions && attract) {
+    const resetForNextLearner = () => {
+      if (certificate) {
+        certificate.close();
       }
-      if (confettiContainer) {
-        confettiContainer.innerHTML = '';
+      if (resumePrompt) {
+        resumePrompt.style.display = 'none';
       }
-      renderCard(0);
+      completionRecorded = false;
+      deck.restart();
+      progress.clear();
     };
-
-    // Confetti generator.  Creates a set number of confetti pieces
-    // with random positions, colours and fall durations.  This
-    // effect is intentionally lightweight—no external libs are
-    // imported.  Confetti pieces are appended to the overlay’s
-    // confetti container and will automatically clean up when the
-    // overlay is hidden and restarted.
-    const launchConfetti = () => {
-      const colours = [
-        'rgba(143, 247, 122, 0.9)', // green
-        'rgba(196, 158, 234, 0.9)', // lavender
-        'rgba(146, 224, 128, 0.9)', // pastel green
-        'rgba(91, 192, 235, 0.9)'  // success blue from the palette
-      ];
-      const pieceCount = 40;
-      if (!confettiContainer) return;
-      confettiContainer.innerHTML = '';
-      for (let i = 0; i < pieceCount; i++) {
-        const piece = document.createElement('div');
-        piece.className = 'confetti-piece';
-        const size = Math.random() * 6 + 4; // 4px – 10px
-        piece.style.width = `${size}px`;
-        piece.style.height = `${size}px`;
-        piece.style.background = colours[i % colours.length];
-        piece.style.left = `${Math.random() * 100}%`;
-        // Random animation duration and delay
-        const duration = 3 + Math.random() * 2; // 3–5 seconds
-        const delay = Math.random() * 0.5;
-        piece.style.animationDuration = `${duration}s`;
-        piece.style.animationDelay = `${delay}s`;
-        confettiContainer.appendChild(piece);
+    Kiosk.create({
+      root: attract,
+      cover: [
+        document.getElementById('slide-container'),
+        document.querySelector('.deck-nav'),
+        analyticsPanel
+      ],
+      idleSeconds: kioskOptions.idleSeconds,
+      onIdle: () => {
+        awaitingLearner = true;
+        resetForNextLearner();
+        // Restarting entered scene 1 again; keep it quiet until the
+        // next learner starts.
+        narrator.stop();
+      },
+      onStart: (badge) => {
+        awaitingLearner = false;
+        learnerId = badge;
+        analytics.setContext({ session: Analytics.sessionId(), learner: badge });
+        resetForNextLearner();
       }
-    };
-
-    // Bind next/finish and restart buttons
-    if (nextButton) {
-      nextButton.addEventListener('click', () => {
-        goToNext();
-      });
-    }
-    if (restartBtn) {
-      restartBtn.addEventListener('click', () => {
-        restartQuiz();
-      });
-    }
-    // Initialise the first card if the scene is active
-    renderCard(0);
+    });
   }
-});
\ No newline at end of file
+});
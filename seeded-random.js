@@ -0,0 +1,64 @@
+/*
+ * Seeded pseudo‑random numbers for reproducible quiz sessions.  The
+ * question draw and the order of the choices are both driven by a
+ * single seed, which can be passed as `?seed=` in the URL.  When a
+ * learner disputes a score the trainer reopens the deck with the seed
+ * shown on the scoreboard and sees exactly the same cards in exactly
+ * the same order.
+ *
+ * The generator is mulberry32 seeded from a 32‑bit FNV‑1a hash of the
+ * seed string, which is small, fast and more than random enough for
+ * shuffling a handful of cards.
+ */
+const SeededRandom = (() => {
+  // Hash an arbitrary seed string down to a 32‑bit unsigned integer.
+  const hashSeed = (seed) => {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  };
+
+  // Create a generator returning floats in [0, 1), like Math.random.
+  const create = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // Unbiased Fisher–Yates shuffle.  Returns a new array and leaves the
+  // input untouched.
+  const shuffle = (items, random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+
+  // Read the seed from the URL.  Without a `seed` parameter a short
+  // random one is generated so every session still has a seed that
+  // can be quoted back later.
+  const resolveSeed = (search = window.location.search) => {
+    const param = new URLSearchParams(search).get('seed');
+    if (param && param.trim() !== '') {
+      return param.trim();
+    }
+    return Math.random().toString(36).slice(2, 8);
+  };
+
+  return { create, shuffle, resolveSeed };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
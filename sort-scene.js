@@ -0,0 +1,591 @@
+/*
+ * "Sort the cards" scenes.  The learner drags everyday situations
+ * (sharing the Wi‑Fi password with a driver, locking the POS terminal
+ * before stepping away) into buckets such as Safe, Unsafe and Report.
+ * A card dropped in the right bucket stays there; a card dropped in
+ * the wrong one springs back to the tray with feedback explaining
+ * why, and can be tried again.  Each card scores a point when it is
+ * placed right first time.
+ *
+ * Exercises are described in `sorting.json`:
+ *
+ *   {
+ *     "id": "safe-or-breach",
+ *     "title": "Safe or breach?",
+ *     "prompt": "Drag each card into the bucket where it belongs.",
+ *     "buckets": [
+ *       { "id": "safe", "label": "Safe", "tone": "primary" },
+ *       { "id": "unsafe", "label": "Unsafe", "tone": "danger" }
+ *     ],
+ *     "items": [
+ *       { "id": "wifi-driver", "text": "Sharing the Wi‑Fi password with a driver",
+ *         "bucket": "unsafe", "feedback": "…" }
+ *     ]
+ *   }
+ *
+ * Cards can be dragged with a mouse, pen or finger (pointer events),
+ * or picked up with a click, Enter or Space and placed by activating a
+ * bucket, which is also the keyboard route.  A scene opts in with
+ * `data-sort-exercise="<id>"` on its element and is filled in from the
+ * `#sort-scene-template` template in `index.html`.  Like scenarios,
+ * the file can be translated as `sorting.<lang>.json` and is validated
+ * as soon as it is fetched, with every problem collected into a
+ * `SortSceneError`.
+ */
+const SortScene = (() => {
+  const DEFAULT_PATH = 'sorting.json';
+  const MIN_BUCKETS = 2;
+  const MAX_BUCKETS = 4;
+  const TONES = ['primary', 'danger', 'neutral'];
+  // Distance in pixels a pointer has to travel before a press on a
+  // card turns into a drag rather than a click.
+  const DRAG_THRESHOLD = 6;
+
+  // Error raised when the sorting file cannot be fetched, parsed or
+  // validated.  `problems` lists every individual issue found.
+  class SortSceneError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'SortSceneError';
+      this.problems = problems;
+    }
+  }
+
+  const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+  // Check the structure of a parsed sorting file.  Returns an array of
+  // human‑readable problems; an empty array means it is valid.
+  const validate = (config) => {
+    const problems = [];
+    if (!config || typeof config !== 'object' || !Array.isArray(config.exercises)) {
+      problems.push('The file must contain an "exercises" array.');
+      return problems;
+    }
+    const seenIds = new Set();
+    config.exercises.forEach((exercise, eIndex) => {
+      const label = `Exercise ${eIndex + 1}`;
+      if (!exercise || typeof exercise !== 'object') {
+        problems.push(`${label} is not an object.`);
+        return;
+      }
+      if (!isNonEmptyString(exercise.id)) {
+        problems.push(`${label} is missing an "id".`);
+      } else if (seenIds.has(exercise.id)) {
+        problems.push(`${label} reuses the id "${exercise.id}".`);
+      } else {
+        seenIds.add(exercise.id);
+      }
+      if (!isNonEmptyString(exercise.prompt)) {
+        problems.push(`${label} has no prompt text.`);
+      }
+      const bucketIds = new Set();
+      const buckets = exercise.buckets;
+      if (!Array.isArray(buckets) || buckets.length < MIN_BUCKETS || buckets.length > MAX_BUCKETS) {
+        problems.push(`${label} needs between ${MIN_BUCKETS} and ${MAX_BUCKETS} buckets.`);
+      } else {
+        buckets.forEach((bucket, bIndex) => {
+          const bucketLabel = `${label}, bucket ${bIndex + 1}`;
+          if (!bucket || typeof bucket !== 'object') {
+            problems.push(`${bucketLabel} is not an object.`);
+            return;
+          }
+          if (!isNonEmptyString(bucket.id)) {
+            problems.push(`${bucketLabel} is missing an "id".`);
+          } else if (bucketIds.has(bucket.id)) {
+            problems.push(`${bucketLabel} reuses the id "${bucket.id}".`);
+          } else {
+            bucketIds.add(bucket.id);
+          }
+          if (!isNonEmptyString(bucket.label)) {
+            problems.push(`${bucketLabel} has no label.`);
+          }
+          if (bucket.tone !== undefined && !TONES.includes(bucket.tone)) {
+            problems.push(`${bucketLabel} has the unknown tone "${bucket.tone}".`);
+          }
+        });
+      }
+      const items = exercise.items;
+      if (!Array.isArray(items) || items.length === 0) {
+        problems.push(`${label} needs at least one item to sort.`);
+        return;
+      }
+      const itemIds = new Set();
+      items.forEach((item, iIndex) => {
+        const itemLabel = `${label}, item ${iIndex + 1}`;
+        if (!item || typeof item !== 'object') {
+          problems.push(`${itemLabel} is not an object.`);
+          return;
+        }
+        if (!isNonEmptyString(item.id)) {
+          problems.push(`${itemLabel} is missing an "id".`);
+        } else if (itemIds.has(item.id)) {
+          problems.push(`${itemLabel} reuses the id "${item.id}".`);
+        } else {
+          itemIds.add(item.id);
+        }
+        if (!isNonEmptyString(item.text)) {
+          problems.push(`${itemLabel} has no text.`);
+        }
+        if (!bucketIds.has(item.bucket)) {
+          problems.push(`${itemLabel} names the unknown bucket "${item.bucket}".`);
+        }
+        if (!isNonEmptyString(item.feedback)) {
+          problems.push(`${itemLabel} has no feedback message.`);
+        }
+      });
+    });
+    return problems;
+  };
+
+  // Fetch, parse and validate the exercises, preferring the
+  // translation for `lang` when there is one (see content-loader.js).
+  // Resolves with the parsed file; rejects with a SortSceneError.
+  const load = async (path = DEFAULT_PATH, lang = null) => {
+    const { content } = await ContentLoader.load(path, {
+      lang,
+      what: 'the sorting exercises',
+      plural: true,
+      validate,
+      ContentError: SortSceneError
+    });
+    return content;
+  };
+
+  const find = (config, id) => config.exercises.find((exercise) => exercise.id === id) || null;
+
+  // Fill a scene element with a copy of the sorting template, one card
+  // per item and one bucket per bucket entry.
+  const render = (element, exercise) => {
+    const template = document.getElementById('sort-scene-template');
+    if (!template) {
+      throw new SortSceneError('The page has no #sort-scene-template.');
+    }
+    element.innerHTML = '';
+    element.appendChild(template.content.cloneNode(true));
+
+    const prompt = element.querySelector('.sort-prompt');
+    if (prompt) prompt.textContent = exercise.prompt;
+    const instructions = element.querySelector('.sort-instructions');
+    if (instructions) {
+      instructions.id = `${element.id}-sort-instructions`;
+      instructions.textContent = I18n.t('sort.instructions');
+    }
+
+    const tray = element.querySelector('.sort-tray');
+    if (tray) {
+      tray.setAttribute('aria-label', I18n.t('sort.tray'));
+      exercise.items.forEach((item) => {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'sort-card';
+        card.dataset.item = item.id;
+        card.textContent = item.text;
+        if (instructions) card.setAttribute('aria-describedby', instructions.id);
+        tray.appendChild(card);
+      });
+    }
+
+    const buckets = element.querySelector('.sort-buckets');
+    if (buckets) {
+      buckets.dataset.count = String(exercise.buckets.length);
+      exercise.buckets.forEach((bucket) => {
+        const box = document.createElement('div');
+        box.className = `sort-bucket tone-${bucket.tone || 'neutral'}`;
+        box.dataset.bucket = bucket.id;
+        const target = document.createElement('button');
+        target.type = 'button';
+        target.className = 'sort-bucket-target';
+        target.textContent = bucket.label;
+        const placed = document.createElement('div');
+        placed.className = 'sort-bucket-items';
+        placed.setAttribute('role', 'group');
+        placed.setAttribute('aria-label', bucket.label);
+        box.append(target, placed);
+        buckets.appendChild(box);
+      });
+    }
+
+    const restart = element.querySelector('.restart-btn');
+    if (restart) restart.textContent = I18n.t('sort.restart');
+  };
+
+  // Show why a sorting scene could not be built in place of the scene.
+  const renderError = (element, err) => {
+    element.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'scene-error';
+    panel.setAttribute('role', 'alert');
+    const title = document.createElement('p');
+    title.className = 'scene-error-title';
+    title.textContent = err && err.message ? err.message : I18n.t('sort.loadError');
+    panel.appendChild(title);
+    const problems = (err && err.problems) || [];
+    if (problems.length) {
+      const list = document.createElement('ul');
+      list.className = 'scene-error-list';
+      problems.forEach((problem) => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+    }
+    element.appendChild(panel);
+  };
+
+  // Build the deck `setup` function for an exercise (see deck.js).
+  // `onAnswer(item, bucket, correct)` is called with the first bucket
+  // each card is dropped in, `announce(message)` reports outcomes to
+  // screen readers and `courseScore()` returns the course score shown
+  // on the scoreboard.  `animator` runs the tweens; it defaults to GSAP
+  // and only needs the calls used here, so the tests pass an instant
+  // fake.
+  //
+  // Every visit starts with all the cards in the tray.  Once the last
+  // card is placed the scoreboard shows the scene's score and the
+  // course score, and the scene is completed.  Its saved state records
+  // the cards placed, the cards that were dropped in a wrong bucket,
+  // the cards whose first drop has been reported and the result of the
+  // last finished attempt, which is what counts towards the course
+  // score.
+  const setup = (exercise, {
+    onAnswer = () => {},
+    announce = () => {},
+    courseScore = () => null,
+    animator = gsap
+  } = {}) => (scene, { complete, changed }) => {
+    render(scene, exercise);
+
+    const tray = scene.querySelector('.sort-tray');
+    const feedback = scene.querySelector('.sort-feedback');
+    const scoreboard = scene.querySelector('.scoreboard-overlay');
+    const scoreBox = scoreboard ? scoreboard.querySelector('.score-box') : null;
+    const scoreText = scoreboard ? scoreboard.querySelector('.score-text') : null;
+    const courseText = scoreboard ? scoreboard.querySelector('.score-course') : null;
+    const restartBtn = scoreboard ? scoreboard.querySelector('.restart-btn') : null;
+    const cards = new Map([...scene.querySelectorAll('.sort-card')].map((card) => [card.dataset.item, card]));
+    const buckets = new Map([...scene.querySelectorAll('.sort-bucket')].map((box) => [box.dataset.bucket, box]));
+    const items = new Map(exercise.items.map((item) => [item.id, item]));
+    const bucketOf = (id) => exercise.buckets.find((bucket) => bucket.id === id);
+
+    // Every tween belongs to this context so leaving the scene
+    // kills anything still running and clears the inline transforms.
+    const animations = animator.context(() => {});
+
+    // Cards already in their bucket.
+    let placed = new Set();
+    // Cards that have been dropped in a wrong bucket at least once;
+    // they no longer score.
+    let missed = new Set();
+    // Cards whose first drop has been reported.
+    let answered = new Set();
+    let result = null;
+    // The card picked up with a click or the keyboard, waiting for a
+    // bucket.
+    let selected = null;
+    // The drag in progress, if any.
+    let drag = null;
+
+    const showFeedback = (text, tone = '') => {
+      if (!feedback) return;
+      feedback.textContent = text;
+      feedback.dataset.tone = tone;
+    };
+
+    const select = (id) => {
+      if (selected) cards.get(selected).setAttribute('aria-pressed', 'false');
+      selected = id;
+      if (id) cards.get(id).setAttribute('aria-pressed', 'true');
+      scene.classList.toggle('sort-picking', Boolean(id));
+    };
+
+    // Put every card where the state says it belongs: placed cards in
+    // their bucket, the rest in the tray in their original order.
+    const layout = () => {
+      exercise.items.forEach((item) => {
+        const card = cards.get(item.id);
+        const isPlaced = placed.has(item.id);
+        card.classList.toggle('placed', isPlaced);
+        card.disabled = isPlaced;
+        if (isPlaced) {
+          card.removeAttribute('aria-pressed');
+          buckets.get(item.bucket).querySelector('.sort-bucket-items').appendChild(card);
+        } else {
+          card.setAttribute('aria-pressed', 'false');
+          if (tray) tray.appendChild(card);
+        }
+      });
+    };
+
+    // The bucket under a point on screen, if any.
+    const bucketAt = (x, y) => {
+      for (const [id, box] of buckets) {
+        const rect = box.getBoundingClientRect();
+        if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) return id;
+      }
+      return null;
+    };
+
+    const highlight = (id) => {
+      buckets.forEach((box, bucketId) => box.classList.toggle('drop-target', bucketId === id));
+    };
+
+    // Spring a card back to where it was picked up from.
+    const snapBack = (card) => {
+      animations.add(() => {
+        animator.to(card, {
+          x: 0,
+          y: 0,
+          duration: 0.5,
+          ease: 'back.out(2)',
+          onComplete: () => card.classList.remove('dragging')
+        });
+      });
+    };
+
+    // Show the scoreboard for the finished exercise.
+    const showScoreboard = () => {
+      if (scoreText) {
+        scoreText.textContent = I18n.t('sort.score', result);
+      }
+      const course = courseScore();
+      if (courseText) {
+        courseText.textContent = course ? I18n.t('course.score', course) : '';
+      }
+      if (scoreboard) {
+        scoreboard.style.display = 'flex';
+      }
+      if (scoreBox) {
+        scoreBox.focus({ preventScroll: true });
+      }
+      announce(I18n.t('sort.announceComplete', { score: scoreText ? scoreText.textContent : '' }));
+    };
+
+    // Drop a card in a bucket.  The right bucket keeps it; a wrong one
+    // sends it back to the tray.
+    const drop = (id, bucketId) => {
+      const item = items.get(id);
+      const card = cards.get(id);
+      const bucket = bucketOf(bucketId);
+      const correct = item.bucket === bucketId;
+      select(null);
+      highlight(null);
+      if (!answered.has(id)) {
+        answered.add(id);
+        onAnswer(item, bucket, correct);
+      }
+      if (!correct) {
+        missed.add(id);
+        snapBack(card);
+        const box = buckets.get(bucketId);
+        box.classList.add('shake');
+        animations.add(() => {
+          animator.delayedCall(0.4, () => box.classList.remove('shake'));
+        });
+        showFeedback(`${I18n.t('sort.wrongTitle', { bucket: bucket.label })} ${item.feedback}`, 'wrong');
+        announce(I18n.t('sort.announceWrong', { item: item.text, bucket: bucket.label, message: item.feedback }));
+        card.focus({ preventScroll: true });
+        changed();
+        return;
+      }
+      placed.add(id);
+      card.classList.remove('dragging');
+      animator.set(card, { clearProps: 'transform' });
+      layout();
+      animations.add(() => {
+        animator.from(card, { scale: 0.8, opacity: 0, duration: 0.3, ease: 'back.out(1.7)' });
+      });
+      showFeedback(`${I18n.t('sort.rightTitle', { bucket: bucket.label })} ${item.feedback}`, 'right');
+      announce(I18n.t('sort.announceRight', { item: item.text, bucket: bucket.label, message: item.feedback }));
+      // Keep keyboard users in the tray, on the next card to sort.
+      const next = exercise.items.find((candidate) => !placed.has(candidate.id));
+      if (next) {
+        cards.get(next.id).focus({ preventScroll: true });
+        changed();
+        return;
+      }
+      result = { score: exercise.items.length - missed.size, max: exercise.items.length };
+      showScoreboard();
+      complete();
+      changed();
+    };
+
+    // Dragging.  The card follows the pointer through a transform so it
+    // never leaves the tray in the DOM; pointer capture keeps the
+    // events coming when it is moved quickly or outside the scene.  The
+    // pointer moves in screen pixels, so its movement is divided by the
+    // scale the slide is drawn at (see frame.js).
+    const onPointerDown = (event) => {
+      const card = event.currentTarget;
+      if (card.disabled || drag || (event.pointerType === 'mouse' && event.button !== 0)) return;
+      drag = {
+        id: card.dataset.item,
+        card,
+        pointerId: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+        scale: ResponsiveFrame.scaleOf(card),
+        moved: false
+      };
+      if (card.setPointerCapture) card.setPointerCapture(event.pointerId);
+    };
+
+    const onPointerMove = (event) => {
+      if (!drag || event.pointerId !== drag.pointerId) return;
+      const dx = event.clientX - drag.x;
+      const dy = event.clientY - drag.y;
+      if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      if (!drag.moved) {
+        drag.moved = true;
+        select(null);
+        animator.killTweensOf(drag.card);
+        drag.card.classList.add('dragging');
+      }
+      event.preventDefault();
+      animator.set(drag.card, { x: dx / drag.scale, y: dy / drag.scale });
+      highlight(bucketAt(event.clientX, event.clientY));
+    };
+
+    const onPointerUp = (event) => {
+      if (!drag || event.pointerId !== drag.pointerId) return;
+      const { id, card, moved } = drag;
+      drag = null;
+      if (!moved) return;
+      // The click that follows a drag must not pick the card up.
+      card.dataset.dragged = 'true';
+      const bucketId = event.type === 'pointerup' ? bucketAt(event.clientX, event.clientY) : null;
+      if (bucketId) {
+        drop(id, bucketId);
+      } else {
+        highlight(null);
+        snapBack(card);
+      }
+    };
+
+    // Clicking a card (or pressing Enter or Space on it) picks it up;
+    // clicking it again puts it down.
+    const onCardClick = (event) => {
+      const card = event.currentTarget;
+      if (card.dataset.dragged) {
+        delete card.dataset.dragged;
+        return;
+      }
+      const id = card.dataset.item;
+      if (selected === id) {
+        select(null);
+        announce(I18n.t('sort.announceDropped', { item: items.get(id).text }));
+        return;
+      }
+      select(id);
+      announce(I18n.t('sort.announcePicked', { item: items.get(id).text }));
+    };
+
+    cards.forEach((card) => {
+      card.addEventListener('pointerdown', onPointerDown);
+      card.addEventListener('pointermove', onPointerMove);
+      card.addEventListener('pointerup', onPointerUp);
+      card.addEventListener('pointercancel', onPointerUp);
+      card.addEventListener('click', onCardClick);
+    });
+
+    buckets.forEach((box, bucketId) => {
+      const target = box.querySelector('.sort-bucket-target');
+      target.addEventListener('click', () => {
+        if (selected) {
+          drop(selected, bucketId);
+        } else {
+          showFeedback(I18n.t('sort.pickFirst'));
+        }
+      });
+    });
+
+    // Escape puts a picked‑up card down again.
+    scene.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && selected) {
+        const card = cards.get(selected);
+        select(null);
+        card.focus({ preventScroll: true });
+      }
+    });
+
+    const reset = () => {
+      animations.revert();
+      drag = null;
+      placed = new Set();
+      missed = new Set();
+      answered = new Set();
+      select(null);
+      highlight(null);
+      cards.forEach((card) => {
+        card.classList.remove('dragging');
+        delete card.dataset.dragged;
+      });
+      layout();
+      showFeedback('');
+      if (scoreboard) {
+        scoreboard.style.display = 'none';
+      }
+    };
+
+    if (restartBtn) {
+      restartBtn.addEventListener('click', () => {
+        reset();
+        const first = cards.get(exercise.items[0].id);
+        if (first) first.focus({ preventScroll: true });
+        changed();
+      });
+    }
+
+    // Lifecycle hooks called by the deck controller.
+    return {
+      // Deal the cards in, or show the scoreboard when a restored
+      // session had already sorted every card.
+      enter: () => {
+        if (placed.size === exercise.items.length && result) {
+          showScoreboard();
+          return;
+        }
+        animations.add(() => {
+          animator.from([...cards.values()].filter((card) => !placed.has(card.dataset.item)), {
+            y: 20,
+            opacity: 0,
+            duration: 0.4,
+            stagger: 0.08,
+            ease: 'power2.out'
+          });
+        });
+      },
+      exit: () => {
+        animations.revert();
+        drag = null;
+        select(null);
+        highlight(null);
+      },
+      reset,
+      snapshot: () => ({
+        placed: [...placed],
+        missed: [...missed],
+        answered: [...answered],
+        result: result || { score: 0, max: exercise.items.length }
+      }),
+      // Ids that are not items of the exercise (after it changed, say)
+      // are dropped.
+      restore: (state) => {
+        const known = (list) => (Array.isArray(list) ? list : []).filter((id) => items.has(id));
+        placed = new Set(known(state.placed));
+        missed = new Set(known(state.missed));
+        answered = new Set(known(state.answered));
+        result = state.result && Number.isFinite(state.result.score) && Number.isFinite(state.result.max)
+          ? { score: state.result.score, max: state.result.max }
+          : null;
+        layout();
+      }
+    };
+  };
+
+  return { DEFAULT_PATH, SortSceneError, validate, load, find, render, renderError, setup };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SortScene;
+}
@@ -0,0 +1,82 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./helpers');
+
+let window;
+
+beforeEach(async () => {
+  window = await loadPage();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+// Storage whose every call throws, as in a private window that has
+// run out of quota.
+const brokenStorage = () => ({
+  getItem: () => { throw new Error('denied'); },
+  setItem: () => { throw new Error('denied'); },
+  removeItem: () => { throw new Error('denied'); }
+});
+
+const quietly = (run) => {
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    return run();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('the buffer keeps the latest events and clears them from storage', () => {
+  const storage = window.localStorage;
+  const buffer = Analytics.createBufferSink({ storage, limit: 2 });
+  ['a', 'b', 'c'].forEach((type) => buffer.send({ type }));
+  assert.deepEqual(buffer.events(), [{ type: 'b' }, { type: 'c' }]);
+  assert.deepEqual(Analytics.createBufferSink({ storage }).events(), [{ type: 'b' }, { type: 'c' }]);
+
+  buffer.clear();
+  assert.deepEqual(buffer.events(), []);
+  assert.equal(storage.getItem(Analytics.BUFFER_KEY), null);
+});
+
+test('a buffer whose storage fails still works in memory', () => {
+  quietly(() => {
+    const buffer = Analytics.createBufferSink({ storage: brokenStorage() });
+    buffer.send({ type: 'scene_enter' });
+    assert.deepEqual(buffer.events(), [{ type: 'scene_enter' }]);
+    assert.doesNotThrow(() => buffer.clear());
+    assert.deepEqual(buffer.events(), []);
+  });
+});
+
+test('the beacon sink sends each event with sendBeacon', () => {
+  const beacons = [];
+  const requests = [];
+  const sink = Analytics.createBeaconSink('https://collector.example/events', {
+    nav: { sendBeacon: (url, body) => beacons.push({ url, body }) > 0 },
+    send: (url, init) => requests.push({ url, init })
+  });
+  sink.send({ type: 'card_flip', scene: 'scene2' });
+  assert.deepEqual(beacons, [{
+    url: 'https://collector.example/events',
+    body: JSON.stringify({ type: 'card_flip', scene: 'scene2' })
+  }]);
+  assert.deepEqual(requests, []);
+});
+
+test('the beacon sink falls back to a request when no beacon is queued', async () => {
+  const requests = [];
+  const send = (url, init) => {
+    requests.push({ url, body: init.body, keepalive: init.keepalive });
+    return Promise.resolve({ ok: true });
+  };
+  const event = { type: 'retry_clicked' };
+  Analytics.createBeaconSink('/events', { nav: { sendBeacon: () => false }, send }).send(event);
+  Analytics.createBeaconSink('/events', { nav: {}, send }).send(event);
+  await settle();
+  const expected = { url: '/events', body: JSON.stringify(event), keepalive: true };
+  assert.deepEqual(requests, [expected, expected]);
+});
@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./helpers');
+
+let window;
+
+beforeEach(async () => {
+  window = await loadPage();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+const COLOURS = { primary: '#14365D', secondary: '#5BC0EB', accent: '#F2B134', light: '#FFFFFF', dark: '#111111' };
+const DETAILS = { title: 'Security awareness', score: 11, max: 12, date: new Date(2026, 9, 19) };
+
+const parse = (svg) => new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+const texts = (doc) => [...doc.querySelectorAll('text')].map((text) => text.textContent);
+
+test('the certificate is filled in with the learner and their result', () => {
+  const doc = parse(Certificate.render({ ...DETAILS, name: 'Sara Ali', colours: COLOURS, font: 'Inter, sans-serif' }));
+  assert.equal(doc.querySelector('parsererror'), null);
+  assert.deepEqual(texts(doc).slice(0, 6), [
+    I18n.t('certificate.heading'),
+    I18n.t('certificate.presentedTo'),
+    'Sara Ali',
+    I18n.t('certificate.completed'),
+    'Security awareness',
+    I18n.t('certificate.score', { score: 11, max: 12, percent: 92 })
+  ]);
+  assert.equal(doc.documentElement.getAttribute('font-family'), 'Inter, sans-serif');
+  assert.equal(doc.querySelector('rect').getAttribute('fill'), COLOURS.light);
+  assert.equal(doc.querySelector('image'), null);
+});
+
+test('names, titles and theme values are escaped', () => {
+  const name = '<script>alert("x")</script> & Co\'s';
+  const svg = Certificate.render({
+    ...DETAILS,
+    name,
+    title: 'Tom & Jerry <3',
+    logo: 'data:image/svg+xml,"><script>',
+    colours: { ...COLOURS, primary: '"><script>' },
+    font: '"Evil" <font>'
+  });
+  assert.equal(svg.includes('<script>'), false);
+  const doc = parse(svg);
+  assert.equal(doc.querySelector('parsererror'), null);
+  assert.equal(doc.querySelector('script'), null);
+  assert.ok(texts(doc).includes(name));
+  assert.ok(texts(doc).includes('Tom & Jerry <3'));
+  assert.equal(doc.querySelector('image').getAttribute('href'), 'data:image/svg+xml,"><script>');
+  assert.equal(doc.documentElement.getAttribute('font-family'), '"Evil" <font>');
+});
+
+test('the colours are the page\'s, with any theme applied', () => {
+  Theme.apply({ colours: COLOURS });
+  assert.deepEqual(Certificate.pageColours(), COLOURS);
+  const doc = parse(Certificate.render({ ...DETAILS, name: 'Sara Ali' }));
+  assert.equal(doc.querySelectorAll('rect')[1].getAttribute('stroke'), COLOURS.primary);
+});
+
+test('the download is named after the learner', () => {
+  assert.equal(Certificate.fileName(' Sara  Ali '), 'certificate-sara-ali.png');
+  assert.equal(Certificate.fileName('سارة علي'), 'certificate-سارة-علي.png');
+  assert.equal(Certificate.fileName('***'), 'certificate.png');
+});
+
+test('the dialog previews the certificate and waits for a name', async () => {
+  const { document } = window;
+  const root = document.getElementById('certificate-dialog');
+  const opener = document.createElement('button');
+  document.body.appendChild(opener);
+  Theme.apply({ colours: COLOURS });
+  const dialog = Certificate.createDialog({ root, sheet: document.getElementById('certificate-sheet') });
+  dialog.open(DETAILS, opener);
+  await settle();
+  assert.equal(root.style.display, 'flex');
+  assert.equal(root.querySelector('.certificate-print').disabled, true);
+  assert.equal(root.querySelector('.certificate-download').disabled, true);
+
+  const input = root.querySelector('.certificate-name input');
+  input.value = 'Sara Ali';
+  input.dispatchEvent(new window.Event('input'));
+  assert.ok(texts(root.querySelector('.certificate-preview')).includes('Sara Ali'));
+  assert.equal(root.querySelector('.certificate-print').disabled, false);
+
+  root.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+  assert.equal(root.style.display, 'none');
+  assert.equal(document.activeElement, opener);
+});
@@ -0,0 +1,51 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+class TestError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
+const options = {
+  what: 'the scenarios',
+  plural: true,
+  validate: (content) => (Array.isArray(content.scenarios) ? [] : ['No "scenarios" array.']),
+  ContentError: TestError
+};
+
+let window;
+
+beforeEach(async () => {
+  window = await loadPage();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+test('prefers the translation for the language', async () => {
+  const { path, content } = await ContentLoader.load('scenarios.json', { ...options, lang: 'ar' });
+  assert.equal(path, 'scenarios.ar.json');
+  assert.ok(content.scenarios.length > 0);
+});
+
+test('falls back to the original when there is no translation', async () => {
+  const { path } = await ContentLoader.load('scenarios.json', { ...options, lang: 'fr' });
+  assert.equal(path, 'scenarios.json');
+});
+
+test('reports a missing or invalid file with the module error class', async () => {
+  await assert.rejects(ContentLoader.load('missing.json', options), (err) => (
+    err instanceof TestError &&
+    err.message === 'Could not load the scenarios "missing.json".' &&
+    err.problems[0] === 'The server responded with 404.'
+  ));
+  await assert.rejects(ContentLoader.load('package.json', options), (err) => (
+    err instanceof TestError &&
+    err.message === 'The scenarios "package.json" are malformed.' &&
+    err.problems[0] === 'No "scenarios" array.'
+  ));
+});
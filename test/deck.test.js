@@ -0,0 +1,130 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+let window;
+
+afterEach(() => {
+  window.close();
+});
+
+// Open the page at `url` and register its four scenes with hooks that
+// log every call.  Scenes 1 and 2 are gated like the real deck.
+const startDeck = async (url) => {
+  window = await loadPage(url ? { url } : {});
+  const { document } = window;
+  const log = [];
+  const handles = {};
+  const deck = SlideDeck.create({ nav: document.querySelector('.deck-nav'), win: window });
+  ['scene1', 'scene2', 'scene3', 'scene4'].forEach((id, index) => {
+    deck.register({
+      id,
+      element: document.getElementById(id),
+      requiresCompletion: index < 2,
+      setup: (element, handle) => {
+        handles[id] = handle;
+        return {
+          enter: () => log.push(`${id}.enter`),
+          exit: () => log.push(`${id}.exit`),
+          reset: () => log.push(`${id}.reset`),
+          snapshot: () => ({ id }),
+          restore: (state) => log.push(`${id}.restore ${JSON.stringify(state)}`)
+        };
+      }
+    });
+  });
+  deck.start();
+  return { deck, log, handles, document };
+};
+
+// Wait for the hash change a navigation causes to be handled.
+const navigated = () => new Promise((resolve) => {
+  window.addEventListener('hashchange', () => setTimeout(resolve, 0), { once: true });
+});
+
+const visible = (document) => [...document.querySelectorAll('.scene')]
+  .filter((scene) => scene.style.display === 'block')
+  .map((scene) => scene.id);
+
+test('starts on the first scene', async () => {
+  const { deck, log, document } = await startDeck();
+  assert.equal(deck.current.id, 'scene1');
+  assert.deepEqual(visible(document), ['scene1']);
+  assert.deepEqual(log, ['scene1.reset', 'scene1.enter']);
+  assert.equal(window.location.hash, '#/scene/1');
+  assert.equal(document.querySelector('.deck-counter').textContent, '1 / 4');
+  assert.equal(document.querySelector('.deck-next').disabled, true);
+});
+
+test('a deep link opens its scene past the gates', async () => {
+  const { deck, document } = await startDeck('http://localhost/index.html#/scene/3');
+  assert.equal(deck.current.id, 'scene3');
+  assert.deepEqual(visible(document), ['scene3']);
+});
+
+test('Prev goes back from a deep link past the gates', async () => {
+  const { deck, document } = await startDeck('http://localhost/index.html#/scene/3');
+  assert.equal(document.querySelector('.deck-prev').disabled, false);
+  let moved = navigated();
+  deck.prev();
+  await moved;
+  assert.equal(deck.current.id, 'scene2');
+  assert.equal(window.location.hash, '#/scene/2');
+  // Editing the address bar backwards is allowed too.
+  moved = navigated();
+  window.location.hash = '#/scene/1';
+  await moved;
+  assert.equal(deck.current.id, 'scene1');
+});
+
+test('the old query string links are honoured', async () => {
+  const { deck } = await startDeck('http://localhost/index.html?scene2');
+  assert.equal(deck.current.id, 'scene2');
+  assert.equal(window.location.hash, '#/scene/2');
+});
+
+test('a gated scene must be completed before moving on', async () => {
+  const { deck, log, handles, document } = await startDeck();
+  deck.next();
+  assert.equal(deck.current.id, 'scene1');
+
+  handles.scene1.complete();
+  assert.equal(document.querySelector('.deck-next').disabled, false);
+  log.length = 0;
+  const moved = navigated();
+  deck.next();
+  await moved;
+  assert.equal(deck.current.id, 'scene2');
+  assert.deepEqual(log, ['scene1.exit', 'scene2.reset', 'scene2.enter']);
+  assert.ok(deck.snapshot().scenes.scene1.completed);
+});
+
+test('a hash naming a gated or unknown scene is put back', async () => {
+  const { deck } = await startDeck();
+  for (const hash of ['#/scene/3', '#/scene/9']) {
+    const moved = navigated();
+    window.location.hash = hash;
+    await moved;
+    assert.equal(deck.current.id, 'scene1');
+    assert.equal(window.location.hash, '#/scene/1');
+  }
+});
+
+test('restart clears completions and starts every scene afresh', async () => {
+  const { deck, log, handles } = await startDeck();
+  handles.scene1.complete();
+  const moved = navigated();
+  deck.next();
+  await moved;
+  handles.scene2.complete();
+  assert.equal(deck.isFinished(), true);
+
+  log.length = 0;
+  deck.restart();
+  assert.equal(deck.current.id, 'scene1');
+  assert.equal(window.location.hash, '#/scene/1');
+  assert.equal(deck.isFinished(), false);
+  assert.deepEqual(log, ['scene2.exit', 'scene1.reset', 'scene1.restore {}', 'scene1.enter']);
+  // Scenes not shown yet report the empty state they will restore.
+  assert.deepEqual(deck.snapshot().scenes.scene3, { completed: false, state: {} });
+});
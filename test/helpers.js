@@ -0,0 +1,193 @@
+/*
+ * Shared setup for the tests.  `loadPage()` opens index.html in jsdom
+ * and loads the deck's modules into Node in place of the page's
+ * script tags, with `window`, `document` and the modules themselves
+ * made global as the browser would.  `fetch` reads files from the
+ * repository, so the tests run offline and see the real locales,
+ * scenarios and banks.  The page's own scripts are never run; each
+ * test wires up only the scenes it needs.
+ *
+ * GSAP and Typed.js are replaced by the instant fakes below, so the
+ * tests never wait on an animation.
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Global name of each module, in the order index.html loads them.
+const MODULES = {
+  I18n: 'i18n.js',
+  Theme: 'theme.js',
+  ResponsiveFrame: 'frame.js',
+  ContentLoader: 'content-loader.js',
+  MonitorScene: 'monitor-scene.js',
+  QuizScene: 'quiz-scene.js',
+  InspectScene: 'inspect-scene.js',
+  SortScene: 'sort-scene.js',
+  SlideDeck: 'deck.js',
+  LmsReporter: 'lms.js',
+  ProgressStore: 'progress.js',
+  SeededRandom: 'seeded-random.js',
+  QuestionBank: 'question-bank.js',
+  EmailSamples: 'email-samples.js',
+  Scorecard: 'scorecard.js',
+  Analytics: 'analytics.js',
+  Kiosk: 'kiosk.js',
+  Certificate: 'certificate.js',
+  Narrator: 'narration.js',
+  QuestionEditor: 'question-editor.js'
+};
+
+// Answer a request for a file in the repository as a local server
+// would, with a 404 for anything missing.
+const readFromRepo = (window) => async (target) => {
+  const { pathname } = new URL(String(target), window.location.href);
+  const file = path.join(ROOT, decodeURIComponent(pathname));
+  if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+    return new Response('Not found', { status: 404 });
+  }
+  return new Response(fs.readFileSync(file), { status: 200 });
+};
+
+const setGlobal = (name, value) => {
+  Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+};
+
+// Open the page at `url` and load the English messages.  Resolves
+// with the jsdom window; call `window.close()` when done.
+const loadPage = async ({ url = 'http://localhost/index.html', lang = 'en' } = {}) => {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const { window } = new JSDOM(html, { url, pretendToBeVisual: true });
+  setGlobal('window', window);
+  setGlobal('document', window.document);
+  setGlobal('navigator', window.navigator);
+  setGlobal('requestAnimationFrame', window.requestAnimationFrame.bind(window));
+  setGlobal('cancelAnimationFrame', window.cancelAnimationFrame.bind(window));
+  setGlobal('fetch', readFromRepo(window));
+  Object.entries(MODULES).forEach(([name, file]) => {
+    setGlobal(name, require(path.join(ROOT, file)));
+  });
+  await I18n.init({ search: '', preferred: [lang] });
+  I18n.translatePage(window.document);
+  return window;
+};
+
+// A stand‑in for GSAP that finishes every tween at once: start and
+// complete callbacks run straight away, and a timeline completes once
+// the tweens added to it in the same turn have run.
+const instantAnimator = () => {
+  const finish = (vars) => {
+    if (!vars || typeof vars !== 'object') return;
+    if (vars.onStart) vars.onStart();
+    if (vars.onComplete) vars.onComplete();
+  };
+  const tween = {
+    to: (target, vars) => finish(vars),
+    from: (target, vars) => finish(vars),
+    fromTo: (target, fromVars, toVars) => finish(toVars),
+    set: () => {},
+    killTweensOf: () => {}
+  };
+  return {
+    ...tween,
+    delayedCall: (delay, callback) => callback(),
+    context: () => ({ add: (callback) => callback(), revert: () => {} }),
+    timeline: (vars = {}) => {
+      const timeline = {
+        to: (...args) => {
+          tween.to(...args);
+          return timeline;
+        },
+        fromTo: (...args) => {
+          tween.fromTo(...args);
+          return timeline;
+        }
+      };
+      queueMicrotask(() => {
+        if (vars.onComplete) vars.onComplete();
+      });
+      return timeline;
+    }
+  };
+};
+
+// A stand‑in for Typed.js that shows the whole string at once.
+const instantTyper = (element, { strings, onComplete }) => {
+  element.textContent = strings[0];
+  if (onComplete) onComplete();
+  return { destroy: () => {} };
+};
+
+// A narrator that records what it is asked to say and play, as
+// `['say', text, audio]`, `['cue', kind]` and `['stop']` entries.
+const recordingNarrator = () => {
+  const calls = [];
+  return {
+    calls,
+    say: (text, { audio = null } = {}) => calls.push(['say', text, audio]),
+    cue: (kind) => calls.push(['cue', kind]),
+    stop: () => calls.push(['stop'])
+  };
+};
+
+// Let pending promises and timers of zero delay settle.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Drive `performance.now()` and the animation frames by hand, for the
+// timed quiz.  `advance(ms)` moves the clock on and runs the frames
+// then waiting; `pending` counts them.  Install it after loadPage(),
+// which puts the window's own frames back, and call `restore()` when
+// done.
+const manualClock = () => {
+  const saved = ['performance', 'requestAnimationFrame', 'cancelAnimationFrame']
+    .map((name) => [name, globalThis[name]]);
+  const frames = new Map();
+  let now = 0;
+  let nextFrame = 1;
+  setGlobal('performance', { now: () => now });
+  setGlobal('requestAnimationFrame', (callback) => {
+    frames.set(nextFrame, callback);
+    return nextFrame++;
+  });
+  setGlobal('cancelAnimationFrame', (id) => frames.delete(id));
+  return {
+    advance: (ms) => {
+      now += ms;
+      const due = [...frames.values()];
+      frames.clear();
+      due.forEach((callback) => callback(now));
+    },
+    get pending() {
+      return frames.size;
+    },
+    restore: () => saved.forEach(([name, value]) => setGlobal(name, value))
+  };
+};
+
+// Collect what a scene reports to the deck, in place of its handle.
+const fakeHandle = () => {
+  const handle = {
+    completed: 0,
+    changes: 0,
+    complete: () => {
+      handle.completed++;
+    },
+    changed: () => {
+      handle.changes++;
+    }
+  };
+  return handle;
+};
+
+module.exports = {
+  ROOT,
+  loadPage,
+  instantAnimator,
+  instantTyper,
+  recordingNarrator,
+  manualClock,
+  settle,
+  fakeHandle
+};
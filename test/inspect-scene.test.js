@@ -0,0 +1,114 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, fakeHandle } = require('./helpers');
+
+let window;
+let samples;
+let scene;
+let handle;
+let answers;
+let hooks;
+
+// Wire the scene to the shipped samples and show it as the deck does.
+const setupInspect = (state) => {
+  scene = window.document.getElementById('scene3');
+  handle = fakeHandle();
+  answers = [];
+  const lms = { ...LmsReporter.createNoopReporter(), recordAnswer: (answer) => answers.push(answer) };
+  hooks = InspectScene.setup(samples, {
+    lms,
+    courseScore: () => ({ score: 7, max: 12 })
+  })(scene, handle);
+  hooks.reset();
+  if (state !== undefined) hooks.restore(state);
+  hooks.enter();
+};
+
+beforeEach(async () => {
+  window = await loadPage();
+  samples = await EmailSamples.load();
+  setupInspect();
+});
+
+afterEach(() => {
+  hooks.exit();
+  window.close();
+});
+
+const $ = (selector) => scene.querySelector(selector);
+const hotspot = (id) => $(`.hotspot[data-hotspot="${id}"]`);
+const flagsIn = (email) => EmailSamples.hotspots(email).filter(({ entry }) => entry.suspicious === true);
+
+test('shows the first email with its hotspots', () => {
+  const [first] = samples.emails;
+  assert.equal($('.inspect-progress').textContent, I18n.t('inspect.progress', { number: 1, total: samples.emails.length }));
+  assert.equal(scene.querySelectorAll('.hotspot').length, EmailSamples.hotspots(first).length);
+  assert.equal($('.inspect-count').textContent, I18n.t('inspect.count', { found: 0, total: flagsIn(first).length }));
+});
+
+test('a hotspot is marked once and explained every time', () => {
+  const [first] = samples.emails;
+  const [flag] = flagsIn(first);
+  hotspot(flag.id).click();
+  hotspot(flag.id).click();
+  assert.ok(hotspot(flag.id).classList.contains('flagged'));
+  assert.equal($('.inspect-feedback-text').textContent, flag.entry.feedback);
+  assert.equal($('.inspect-count').textContent, I18n.t('inspect.count', { found: 1, total: flagsIn(first).length }));
+  assert.equal(handle.changes, 1);
+  assert.deepEqual(hooks.snapshot().marks, [flag.id]);
+});
+
+test('done inspecting scores the email and outlines the missed red flags', () => {
+  const [first] = samples.emails;
+  const [flag, ...missed] = flagsIn(first);
+  const clear = EmailSamples.hotspots(first).find(({ entry }) => entry.suspicious !== true);
+  hotspot(flag.id).click();
+  hotspot(clear.id).click();
+  $('.inspect-done').click();
+  assert.ok(hotspot(clear.id).classList.contains('false-alarm'));
+  assert.ok(missed.every(({ id }) => hotspot(id).classList.contains('missed')));
+  assert.equal($('.inspect-done').textContent, I18n.t('inspect.next'));
+  assert.deepEqual(answers, [{
+    id: `scene3-${first.id}`,
+    response: `${flag.id},${clear.id}`,
+    correctResponse: flagsIn(first).map(({ id }) => id).join(','),
+    correct: false
+  }]);
+  assert.deepEqual(hooks.snapshot().results, [{ id: first.id, found: 1, total: flagsIn(first).length, falseAlarms: 1 }]);
+});
+
+test('the summary follows the last email and completes the scene', () => {
+  samples.emails.forEach((email) => {
+    flagsIn(email).forEach(({ id }) => hotspot(id).click());
+    $('.inspect-done').click();
+    $('.inspect-done').click();
+  });
+  const max = samples.emails.reduce((sum, email) => sum + flagsIn(email).length, 0);
+  assert.equal($('.inspect-summary').style.display, 'flex');
+  assert.equal($('.inspect-summary .score-text').textContent, I18n.t('inspect.summaryScore', { score: max, max }));
+  assert.equal(scene.querySelectorAll('.inspect-summary-list li').length, samples.emails.length);
+  assert.equal($('.score-course').textContent, I18n.t('course.score', { score: 7, max: 12 }));
+  assert.equal(handle.completed, 1);
+  assert.ok(answers.every((answer) => answer.correct));
+});
+
+test('saved progress resumes on the same email with its marks', () => {
+  const [first] = samples.emails;
+  const [flag] = flagsIn(first);
+  hotspot(flag.id).click();
+  const saved = hooks.snapshot();
+  hooks.exit();
+
+  setupInspect({ ...saved, marks: [...saved.marks, 'not-a-hotspot'] });
+  assert.ok(hotspot(flag.id).classList.contains('flagged'));
+  assert.deepEqual(hooks.snapshot().marks, [flag.id]);
+});
+
+test('samples that cannot be used are listed in place of the email', () => {
+  InspectScene.renderError(scene, new EmailSamples.EmailSamplesError('The email samples "emails.json" are malformed.', [
+    'Email 1 has no sender.'
+  ]));
+  assert.ok(scene.classList.contains('has-error'));
+  assert.equal($('.inspect-error .quiz-error-title').textContent, 'The email samples "emails.json" are malformed.');
+  assert.deepEqual([...scene.querySelectorAll('.inspect-error li')].map((item) => item.textContent), ['Email 1 has no sender.']);
+});
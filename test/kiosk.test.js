@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+let window;
+let root;
+let slides;
+let calls;
+let kiosk;
+
+beforeEach(async () => {
+  window = await loadPage({ url: 'http://localhost/index.html?kiosk=1' });
+  root = window.document.getElementById('kiosk-attract');
+  slides = window.document.getElementById('slide-container');
+  calls = [];
+  kiosk = null;
+});
+
+afterEach(() => {
+  // Showing the attract screen stops the idle countdown, which would
+  // otherwise outlive the window.
+  if (kiosk) kiosk.showAttract();
+  window.close();
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wire the attract screen over the slides.  `idleSeconds` is kept
+// short so the tests can wait it out.
+const openKiosk = () => {
+  kiosk = Kiosk.create({
+    root,
+    cover: [slides],
+    idleSeconds: 0.05,
+    onStart: (badge) => calls.push(['start', badge]),
+    onIdle: () => calls.push(['idle']),
+    win: window
+  });
+};
+
+const startAs = (badge) => {
+  const input = root.querySelector('.kiosk-badge input');
+  input.value = badge;
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+};
+
+test('the idle time comes from the URL', () => {
+  assert.deepEqual(Kiosk.resolve('?kiosk=45'), { idleSeconds: 45 });
+  assert.deepEqual(Kiosk.resolve('?kiosk'), { idleSeconds: Kiosk.DEFAULT_IDLE_SECONDS });
+  assert.equal(Kiosk.resolve('?scene2'), null);
+});
+
+test('the attract screen covers the deck until a learner starts with their badge', () => {
+  openKiosk();
+  assert.equal(root.style.display, 'flex');
+  assert.equal(slides.inert, true);
+  assert.deepEqual(calls, []);
+
+  startAs('  E1234 ');
+  assert.deepEqual(calls, [['start', 'E1234']]);
+  assert.equal(root.style.display, 'none');
+  assert.equal(slides.inert, false);
+});
+
+test('starting without a badge starts an anonymous learner', () => {
+  openKiosk();
+  root.querySelector('.kiosk-start').click();
+  assert.deepEqual(calls, [['start', null]]);
+});
+
+test('a terminal left alone is reset and shows the attract screen again', async () => {
+  openKiosk();
+  // Nothing counts down on the attract screen itself.
+  await wait(100);
+  assert.deepEqual(calls, []);
+
+  startAs('E1234');
+  await wait(100);
+  assert.deepEqual(calls, [['start', 'E1234'], ['idle']]);
+  assert.equal(root.style.display, 'flex');
+  assert.equal(slides.inert, true);
+  assert.equal(root.querySelector('.kiosk-badge input').value, '');
+});
+
+test('a reset for the next learner does not report a second result to the LMS', async () => {
+  const api = LmsReporter.createMockScormApi(() => {});
+  const lms = LmsReporter.createScormReporter(api);
+  lms.start();
+  openKiosk();
+
+  startAs('E1234');
+  lms.finish({ score: 4, max: 4 });
+  await wait(100);
+  startAs('E5678');
+  lms.finish({ score: 1, max: 4 });
+
+  assert.deepEqual(calls, [['start', 'E1234'], ['idle'], ['start', 'E5678']]);
+  assert.equal(api.data['cmi.core.lesson_status'], 'passed');
+  assert.equal(api.data['cmi.core.score.raw'], '100');
+  const statuses = api.calls.filter(({ name, args }) => name === 'LMSSetValue' && args[0] === 'cmi.core.lesson_status');
+  assert.deepEqual(statuses.map(({ args }) => args[1]), ['incomplete', 'passed']);
+});
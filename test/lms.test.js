@@ -0,0 +1,129 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./helpers');
+
+let window;
+
+beforeEach(async () => {
+  window = await loadPage();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+const LAUNCH = {
+  endpoint: 'https://lrs.example/xapi',
+  auth: 'Basic abc',
+  actor: { objectType: 'Agent', mbox: 'mailto:sara@example.com' },
+  activityId: 'https://deck.example/security',
+  registration: null
+};
+
+// An xAPI reporter whose statements are collected instead of sent.
+const xapiReporter = (options = {}) => {
+  const statements = [];
+  const reporter = LmsReporter.createXapiReporter(LAUNCH, {
+    now: () => Date.UTC(2026, 9, 19, 9, 41, 7),
+    send: (url, init) => {
+      statements.push({ url, headers: init.headers, statement: JSON.parse(init.body) });
+      return Promise.resolve({ ok: true });
+    },
+    ...options
+  });
+  return { reporter, statements };
+};
+
+const scormReporter = (options = {}) => {
+  const api = LmsReporter.createMockScormApi(() => {});
+  const reporter = LmsReporter.createScormReporter(api, options);
+  reporter.start();
+  return { api, reporter };
+};
+
+test('a score just below the pass mark fails, however it is rounded', () => {
+  assert.equal(LmsReporter.hasPassed(139, 200, 70), false);
+  assert.equal(LmsReporter.hasPassed(140, 200, 70), true);
+  assert.equal(LmsReporter.hasPassed(0, 0, 0), false);
+});
+
+test('SCORM: answers become interactions and the result is reported once', () => {
+  const { api, reporter } = scormReporter({ now: () => 0 });
+  assert.equal(api.data['cmi.core.lesson_status'], 'incomplete');
+  reporter.recordAnswer({ id: 'q1', response: 'Refuse', correctResponse: 'Refuse', correct: true });
+  reporter.recordDecision({ id: 'scene1-wifi', choice: 'Share it', correct: false });
+  assert.equal(api.data['cmi.interactions._count'], '2');
+  assert.equal(api.data['cmi.interactions.0.correct_responses.0.pattern'], 'Refuse');
+  assert.equal(api.data['cmi.interactions.1.result'], 'wrong');
+
+  reporter.finish({ score: 9, max: 12, passMark: 75 });
+  reporter.finish({ score: 0, max: 12, passMark: 75 });
+  assert.equal(api.data['cmi.core.score.raw'], '75');
+  assert.equal(api.data['cmi.core.lesson_status'], 'passed');
+
+  reporter.terminate();
+  assert.equal(api.data['cmi.core.session_time'], '0000:00:00');
+  assert.equal(api.calls.at(-1).name, 'LMSFinish');
+});
+
+test('SCORM: 69.5% fails a pass mark of 70, as on the scoreboard', () => {
+  const { api, reporter } = scormReporter();
+  reporter.finish({ score: 139, max: 200, passMark: 70 });
+  assert.equal(api.data['cmi.core.score.raw'], '70');
+  assert.equal(api.data['cmi.core.lesson_status'], 'failed');
+});
+
+test('SCORM: the mastery score is the pass mark unless the URL sets one', () => {
+  const api = LmsReporter.createMockScormApi(() => {});
+  api.data['cmi.student_data.mastery_score'] = '90';
+  const reporter = LmsReporter.createScormReporter(api);
+  reporter.start();
+  assert.equal(reporter.passMark(75), 90);
+  reporter.finish({ score: 10, max: 12, passMark: 75 });
+  assert.equal(api.data['cmi.core.lesson_status'], 'failed');
+
+  assert.equal(LmsReporter.createScormReporter(api, { passMark: 50 }).passMark(75), 50);
+});
+
+test('xAPI: statements are posted to the LRS with the result', async () => {
+  const { reporter, statements } = xapiReporter();
+  reporter.start();
+  reporter.recordAnswer({ id: 'q 1', response: 'Refuse', correct: true });
+  reporter.finish({ score: 9, max: 12, passMark: 75 });
+  reporter.finish({ score: 0, max: 12, passMark: 75 });
+  await settle();
+
+  assert.deepEqual(statements.map(({ statement }) => statement.verb.display['en-US']), ['initialized', 'answered', 'passed']);
+  assert.ok(statements.every(({ url }) => url === 'https://lrs.example/xapi/statements'));
+  assert.equal(statements[0].headers.Authorization, 'Basic abc');
+  assert.equal(statements[1].statement.object.id, 'https://deck.example/security/interactions/q%201');
+  assert.deepEqual(statements[2].statement.result, {
+    score: { raw: 9, min: 0, max: 12, scaled: 0.75 },
+    success: true,
+    completion: true
+  });
+  assert.equal(statements[2].statement.timestamp, '2026-10-19T09:41:07.000Z');
+});
+
+test('xAPI: 69.5% fails a pass mark of 70, as on the scoreboard', async () => {
+  const { reporter, statements } = xapiReporter();
+  reporter.finish({ score: 139, max: 200, passMark: 70 });
+  await settle();
+  assert.equal(statements[0].statement.verb.display['en-US'], 'failed');
+  assert.equal(statements[0].statement.result.success, false);
+});
+
+test('the reporter follows the launch', () => {
+  const quiet = console.info;
+  console.info = () => {};
+  try {
+    assert.equal(LmsReporter.connect({ win: window, search: '?lms=mock' }).type, 'scorm');
+  } finally {
+    console.info = quiet;
+  }
+  const actor = encodeURIComponent(JSON.stringify(LAUNCH.actor));
+  assert.equal(LmsReporter.connect({ win: window, search: `?endpoint=https://lrs.example/xapi&actor=${actor}` }).type, 'xapi');
+  const none = LmsReporter.connect({ win: window, search: '?passmark=65' });
+  assert.equal(none.type, 'none');
+  assert.equal(none.passMark(75), 65);
+});
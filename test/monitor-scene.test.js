@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, instantAnimator, instantTyper, recordingNarrator, settle, fakeHandle } = require('./helpers');
+
+let window;
+let scene;
+let handle;
+let decisions;
+let retries;
+let hooks;
+let narrator;
+
+beforeEach(async () => {
+  window = await loadPage();
+  const config = await MonitorScene.load();
+  const scenario = MonitorScene.find(config, 'lock-screen');
+  scene = window.document.getElementById('scene1');
+  handle = fakeHandle();
+  decisions = [];
+  retries = 0;
+  narrator = recordingNarrator();
+  hooks = MonitorScene.setup(scenario, {
+    onDecision: (action) => decisions.push(action),
+    onRetried: () => {
+      retries++;
+    },
+    animator: instantAnimator(),
+    typer: instantTyper,
+    narrator
+  })(scene, handle);
+  hooks.reset();
+  hooks.enter();
+});
+
+afterEach(() => {
+  hooks.exit();
+  window.close();
+});
+
+const button = (action) => scene.querySelector(`.card-buttons .btn[data-action="${action}"]`);
+
+test('types the prompt on entering', () => {
+  assert.match(scene.querySelector('.typed-text').textContent, /\S/);
+  assert.equal(button('lock').disabled, false);
+});
+
+test('the correct action is reported and completes the scene', () => {
+  button('lock').click();
+  assert.deepEqual(decisions.map((action) => [action.id, action.correct]), [['lock', true]]);
+  assert.equal(handle.completed, 1);
+  assert.equal(scene.querySelector('.locked-overlay').getAttribute('aria-hidden'), 'false');
+  assert.equal(button('ignore').disabled, true);
+});
+
+test('a wrong action shows the failure overlay without completing', () => {
+  button('ignore').click();
+  assert.deepEqual(decisions.map((action) => [action.id, action.correct]), [['ignore', false]]);
+  assert.equal(handle.completed, 0);
+  assert.equal(scene.querySelector('.error-overlay-new').getAttribute('aria-hidden'), 'false');
+  assert.equal(button('lock').disabled, true);
+});
+
+test('retrying after a wrong action lets the learner choose again', async () => {
+  button('ignore').click();
+  scene.querySelector('.retry-btn').click();
+  await settle();
+  assert.equal(retries, 1);
+  assert.equal(scene.querySelector('.error-overlay-new').getAttribute('aria-hidden'), 'true');
+  assert.equal(button('lock').disabled, false);
+  button('lock').click();
+  assert.equal(handle.completed, 1);
+  assert.equal(decisions.length, 2);
+});
+
+test('reset puts the scene back as it was first shown', () => {
+  button('ignore').click();
+  hooks.exit();
+  hooks.reset();
+  assert.equal(scene.querySelector('.typed-text').textContent, '');
+  assert.equal(scene.querySelector('.error-overlay-new').getAttribute('aria-hidden'), 'true');
+  assert.equal(button('lock').disabled, false);
+});
+
+test('reads the prompt out and plays the sound of each outcome', async () => {
+  const prompt = scene.querySelector('.typed-text').textContent;
+  assert.deepEqual(narrator.calls, [['say', prompt, null]]);
+  button('ignore').click();
+  scene.querySelector('.retry-btn').click();
+  await settle();
+  button('lock').click();
+  hooks.exit();
+  assert.deepEqual(narrator.calls.slice(1), [['cue', 'error'], ['cue', 'success'], ['stop']]);
+});
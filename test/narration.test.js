@@ -0,0 +1,189 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./helpers');
+
+// Stand‑ins for the browser's speech synthesis, audio element and Web
+// Audio API, recording what the narrator asks of them.
+class FakeUtterance extends EventTarget {
+  constructor(text) {
+    super();
+    this.text = text;
+  }
+
+  fire(type, props = {}) {
+    this.dispatchEvent(Object.assign(new Event(type), props));
+  }
+}
+
+class FakeAudio extends EventTarget {
+  constructor(src) {
+    super();
+    this.src = src;
+    this.paused = true;
+    FakeAudio.created.push(this);
+  }
+
+  play() {
+    this.paused = false;
+    return FakeAudio.playResult();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.currentTime = 0;
+    this.destination = {};
+    this.started = [];
+    FakeAudioContext.created.push(this);
+  }
+
+  createOscillator() {
+    const oscillator = {
+      frequency: {},
+      connect: () => {},
+      start: (at) => this.started.push([oscillator.frequency.value, at]),
+      stop: () => {}
+    };
+    return oscillator;
+  }
+
+  createGain() {
+    return {
+      gain: { setValueAtTime: () => {}, exponentialRampToValueAtTime: () => {} },
+      connect: () => {}
+    };
+  }
+}
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value))
+  };
+};
+
+let window;
+let caption;
+let speech;
+let win;
+let storage;
+
+const create = () => Narrator.create({ caption, storage, lang: () => 'ar', win });
+const spoken = () => speech.spoken.map((utterance) => utterance.text);
+
+beforeEach(async () => {
+  window = await loadPage();
+  caption = window.document.getElementById('captions');
+  speech = {
+    spoken: [],
+    cancelled: 0,
+    getVoices: () => [{ lang: 'en-GB', name: 'English' }, { lang: 'ar-SA', name: 'Arabic' }],
+    speak: (utterance) => speech.spoken.push(utterance),
+    cancel: () => {
+      speech.cancelled++;
+    }
+  };
+  FakeAudio.created = [];
+  FakeAudioContext.created = [];
+  FakeAudio.playResult = () => Promise.resolve();
+  win = {
+    speechSynthesis: speech,
+    SpeechSynthesisUtterance: FakeUtterance,
+    Audio: FakeAudio,
+    AudioContext: FakeAudioContext
+  };
+  storage = memoryStorage();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+test('reads text out in the page language with a caption following the words', () => {
+  const narrator = create();
+  narrator.say('Lock your screen now');
+  const [utterance] = speech.spoken;
+  assert.equal(utterance.lang, 'ar');
+  assert.equal(utterance.voice.name, 'Arabic');
+  assert.equal(caption.hidden, true);
+  utterance.fire('start');
+  assert.equal(caption.hidden, false);
+  assert.equal(caption.querySelector('mark').textContent, 'Lock');
+  utterance.fire('boundary', { charIndex: 10 });
+  assert.equal(caption.textContent, 'Lock your screen now');
+  assert.equal(caption.querySelector('mark').textContent, 'screen');
+  utterance.fire('end');
+  assert.equal(caption.hidden, true);
+});
+
+test('plays a recording when given, falling back to speech once if it fails', async () => {
+  const narrator = create();
+  FakeAudio.playResult = () => Promise.reject(new Error('Unsupported format'));
+  narrator.say('Hold the door?', { audio: 'audio/door.mp3' });
+  const [player] = FakeAudio.created;
+  assert.equal(player.src, 'audio/door.mp3');
+  player.dispatchEvent(new Event('error'));
+  await settle();
+  assert.deepEqual(spoken(), ['Hold the door?']);
+});
+
+test('a recording that plays is captioned in step with it', () => {
+  const narrator = create();
+  narrator.say('one two three four', { audio: 'audio/count.mp3' });
+  const [player] = FakeAudio.created;
+  player.dispatchEvent(new Event('playing'));
+  Object.assign(player, { duration: 4, currentTime: 2.5 });
+  player.dispatchEvent(new Event('timeupdate'));
+  assert.equal(caption.querySelector('mark').textContent, 'three');
+  player.dispatchEvent(new Event('ended'));
+  assert.equal(caption.hidden, true);
+  assert.deepEqual(spoken(), []);
+});
+
+test('saying something new stops what was being said', () => {
+  const narrator = create();
+  narrator.say('First card');
+  const [first] = speech.spoken;
+  first.fire('start');
+  narrator.say('Second card');
+  assert.equal(speech.cancelled, 1);
+  // Late events from the first card no longer touch the caption.
+  first.fire('boundary', { charIndex: 6 });
+  assert.equal(caption.hidden, true);
+  speech.spoken[1].fire('start');
+  assert.equal(caption.querySelector('mark').textContent, 'Second');
+});
+
+test('plays a short tune for each cue', () => {
+  const narrator = create();
+  narrator.cue('success');
+  narrator.cue('unknown');
+  narrator.cue('error');
+  assert.equal(FakeAudioContext.created.length, 1);
+  const [context] = FakeAudioContext.created;
+  assert.deepEqual(context.started.map(([frequency]) => frequency), [660, 880, 220, 165]);
+});
+
+test('muting silences everything and is remembered on the device', () => {
+  const narrator = create();
+  const changes = [];
+  narrator.onChange((muted) => changes.push(muted));
+  narrator.say('Still talking');
+  speech.spoken[0].fire('start');
+  narrator.setMuted(true);
+  assert.deepEqual(changes, [true]);
+  assert.equal(speech.cancelled, 1);
+  assert.equal(caption.hidden, true);
+  narrator.say('Not read out');
+  narrator.cue('success');
+  assert.deepEqual(spoken(), ['Still talking']);
+  assert.equal(FakeAudioContext.created.length, 0);
+  assert.equal(storage.getItem(Narrator.MUTED_KEY), 'true');
+  assert.equal(create().muted, true);
+});
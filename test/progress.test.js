@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+let window;
+let storage;
+
+beforeEach(async () => {
+  window = await loadPage();
+  storage = window.localStorage;
+});
+
+afterEach(() => {
+  window.close();
+});
+
+const clock = () => new Date('2026-10-19T09:41:07.000Z');
+const DECK = { scene: 1, scenes: { scene1: { completed: true, state: {} } } };
+
+const quietly = (run) => {
+  const { warn } = console;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    run();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+};
+
+test('a saved session is loaded back against the same bank', () => {
+  const progress = ProgressStore.create({ storage, now: clock });
+  assert.equal(progress.load('questions.json@3'), null);
+  progress.save('questions.json@3', DECK);
+  assert.deepEqual(ProgressStore.create({ storage }).load('questions.json@3'), {
+    bank: 'questions.json@3',
+    savedAt: '2026-10-19T09:41:07.000Z',
+    deck: DECK
+  });
+
+  progress.clear();
+  assert.equal(progress.load('questions.json@3'), null);
+  assert.equal(storage.getItem('securityDeck.progress'), null);
+});
+
+test('a save taken against another bank version is discarded', () => {
+  const progress = ProgressStore.create({ storage });
+  progress.save('questions.json@2', DECK);
+  assert.equal(progress.load('questions.json@3'), null);
+  // It is gone for the old version too.
+  assert.equal(progress.load('questions.json@2'), null);
+
+  storage.setItem('securityDeck.progress', JSON.stringify({ bank: 'questions.json@3' }));
+  assert.equal(progress.load('questions.json@3'), null);
+});
+
+test('unreadable saved data is ignored with a warning', () => {
+  storage.setItem('securityDeck.progress', '{"bank": "questions.json@3", "deck":');
+  storage.setItem('securityDeck.completions', 'not json');
+  const progress = ProgressStore.create({ storage });
+  const warnings = quietly(() => {
+    assert.equal(progress.load('questions.json@3'), null);
+    assert.deepEqual(progress.completions(), []);
+  });
+  assert.equal(warnings.length, 2);
+});
+
+test('completion records are appended with the time they were made', () => {
+  const progress = ProgressStore.create({ storage, now: clock });
+  progress.recordCompletion({ learner: 'E1234', score: 11, max: 12 });
+  const record = progress.recordCompletion({ learner: null, score: 7, max: 12 });
+  assert.deepEqual(record, { learner: null, score: 7, max: 12, completedAt: '2026-10-19T09:41:07.000Z' });
+  assert.deepEqual(ProgressStore.create({ storage }).completions().map(({ learner }) => learner), ['E1234', null]);
+  // Clearing the session keeps the records.
+  progress.clear();
+  assert.equal(progress.completions().length, 2);
+});
+
+test('without storage nothing is saved and nothing breaks', () => {
+  const broken = {
+    getItem: () => { throw new Error('denied'); },
+    setItem: () => { throw new Error('denied'); },
+    removeItem: () => { throw new Error('denied'); }
+  };
+  [ProgressStore.create({ storage: null }), ProgressStore.create({ storage: broken })].forEach((progress) => {
+    quietly(() => {
+      progress.save('questions.json@3', DECK);
+      assert.equal(progress.load('questions.json@3'), null);
+      progress.clear();
+      progress.recordCompletion({ learner: 'E1234', score: 1, max: 1 });
+      assert.deepEqual(progress.completions(), []);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers');
+
+let window;
+
+before(async () => {
+  window = await loadPage();
+});
+
+after(() => {
+  window.close();
+});
+
+const question = (id, { tag = 'devices', next = {} } = {}) => ({
+  id,
+  tag,
+  scenario: `Scenario ${id}`,
+  choices: [
+    { text: 'Right', correct: true, message: 'Yes.', ...(next.right ? { next: next.right } : {}) },
+    { text: 'Wrong', correct: false, message: 'No.', ...(next.wrong ? { next: next.wrong } : {}) }
+  ]
+});
+
+test('the banks shipped with the deck are valid', async () => {
+  for (const path of ['questions.json', 'questions.ar.json']) {
+    const { bank } = await QuestionBank.loadLocalised(path);
+    assert.deepEqual(QuestionBank.validate(bank), [], path);
+  }
+});
+
+test('a follow‑up naming no question is a dead end', () => {
+  const problems = QuestionBank.validate({
+    questions: [question('a', { next: { wrong: 'missing' } }), question('b')]
+  });
+  assert.deepEqual(problems, ['Question 1, choice 2 leads to "missing", which is not a question in the bank.']);
+});
+
+test('follow‑ups that lead back round are a loop', () => {
+  const problems = QuestionBank.validate({
+    questions: [
+      question('a', { next: { wrong: 'b' } }),
+      question('b', { next: { wrong: 'c' } }),
+      question('c', { next: { right: 'b' } })
+    ]
+  });
+  assert.deepEqual(problems, ['Following "next" goes round in a loop: b → c → b.']);
+});
+
+test('a bank of nothing but follow‑ups has no first card', () => {
+  const problems = QuestionBank.validate({
+    questions: [question('a', { next: { wrong: 'b' } }), question('b', { next: { wrong: 'a' } })]
+  });
+  assert.ok(problems.includes('Every question is a follow‑up, so there is no first card to ask.'));
+});
+
+test('follow‑ups are never drawn and need no tag', () => {
+  const followUp = question('f');
+  delete followUp.tag;
+  const bank = {
+    draw: 1,
+    questions: [question('a', { next: { wrong: 'f' } }), question('b', { tag: 'data handling' }), followUp]
+  };
+  assert.deepEqual(QuestionBank.validate(bank), []);
+  assert.deepEqual([...QuestionBank.followUpIds(bank)], ['f']);
+  for (let seed = 0; seed < 10; seed++) {
+    const drawn = QuestionBank.drawSession(bank, SeededRandom.create(seed)).map((entry) => entry.id);
+    assert.deepEqual(drawn.slice().sort(), ['a', 'b']);
+  }
+});
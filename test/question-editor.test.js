@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./helpers');
+
+let window;
+let root;
+let previews;
+
+beforeEach(async () => {
+  window = await loadPage({ url: 'http://localhost/index.html?author' });
+  root = window.document.getElementById('author-panel');
+  previews = [];
+});
+
+afterEach(() => {
+  window.close();
+});
+
+const openEditor = (bank) => QuestionEditor.create({
+  root,
+  bank,
+  onPreview: (question) => previews.push(question)
+});
+
+const $ = (selector) => root.querySelector(selector);
+const choiceRows = () => [...root.querySelectorAll('.author-choice')];
+const problems = () => [...root.querySelectorAll('.author-problems-list li')].map((item) => item.textContent);
+
+const type = (field, value) => {
+  field.value = value;
+  field.dispatchEvent(new window.Event('input', { bubbles: true }));
+};
+
+test('opens on the first question of the loaded bank', async () => {
+  const bank = await QuestionBank.load();
+  openEditor(bank);
+  const [first] = bank.questions;
+  assert.equal($('.author-id').value, first.id);
+  assert.equal(choiceRows().length, first.choices.length);
+  assert.equal(root.querySelectorAll('.author-select option').length, bank.questions.length);
+  assert.deepEqual(problems(), []);
+  assert.equal($('.author-export').disabled, false);
+  assert.equal(previews.at(-1).id, first.id);
+});
+
+test('edits reach the working copy and are checked as they are made', async () => {
+  const bank = await QuestionBank.load();
+  const editor = openEditor(bank);
+  type(choiceRows()[0].querySelector('input[type="text"]'), '');
+  assert.equal(editor.bank.questions[0].choices[0].text, '');
+  assert.notDeepEqual(problems(), []);
+  assert.equal($('.author-export').disabled, true);
+  // The quiz's own bank is left alone.
+  assert.notEqual(bank.questions[0].choices[0].text, '');
+});
+
+test('choices that are not objects are dropped instead of breaking the form', () => {
+  const choice = (text, correct = false) => ({ text, correct, message: `${text}.` });
+  const bank = {
+    version: '1',
+    questions: [{ id: 'q1', scenario: 'A stranger asks for the Wi‑Fi password.', choices: [null, choice('Refuse', true), 'Share it', 7, choice('Share it')] }]
+  };
+  const editor = openEditor({ version: '1', questions: [] });
+  assert.equal(editor.load(bank, 'imported.json'), true);
+  assert.deepEqual(choiceRows().map((row) => row.querySelector('input[type="text"]').value), ['Refuse', 'Share it']);
+  assert.deepEqual(editor.bank.questions[0].choices, [choice('Refuse', true), choice('Share it')]);
+
+  const opened = openEditor(bank);
+  assert.equal(opened.bank.questions[0].choices.length, 2);
+});
+
+test('questions that are not objects are dropped from an imported file', async () => {
+  const editor = openEditor({ version: '1', questions: [] });
+  const bank = {
+    version: '1',
+    questions: [
+      'oops',
+      { id: 'q1', scenario: 'A courier asks to be let in.', choices: [{ text: 'Check the badge', correct: true, message: 'Yes.' }] },
+      5,
+      null,
+      ['not', 'a', 'question']
+    ]
+  };
+  // Import it as the file picker would.
+  const input = $('.author-import input');
+  Object.defineProperty(input, 'files', {
+    value: [{ name: 'imported.json', text: async () => JSON.stringify(bank) }],
+    configurable: true
+  });
+  input.dispatchEvent(new window.Event('change'));
+  await settle();
+  assert.deepEqual(editor.bank.questions.map((question) => question.id), ['q1']);
+
+  const select = $('.author-select');
+  [...select.options].forEach((option) => {
+    select.value = option.value;
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal($('.author-id').value, 'q1');
+    assert.equal(choiceRows().length, 1);
+  });
+});
+
+test('a file without questions keeps the current bank and lists its problems', () => {
+  const editor = openEditor({ version: '1', questions: [] });
+  assert.equal(editor.load({ title: 'Not a bank' }), false);
+  assert.deepEqual(editor.bank, { version: '1', questions: [] });
+  assert.deepEqual(problems(), QuestionBank.validate({ title: 'Not a bank' }));
+});
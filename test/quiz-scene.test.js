@@ -0,0 +1,374 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, recordingNarrator, manualClock, settle, fakeHandle } = require('./helpers');
+
+// Four questions, a pass mark of 75% and a single retry.  Each has a
+// recording of its scenario and of the right answer's feedback.
+const question = (id) => ({
+  id,
+  scenario: `Scenario ${id}`,
+  audio: `audio/${id}.mp3`,
+  choices: [
+    { text: `Right ${id}`, correct: true, message: `Yes, ${id}.`, audio: `audio/${id}-yes.mp3` },
+    { text: `Wrong ${id}`, correct: false, message: `No, ${id}.` }
+  ]
+});
+const BANK = {
+  version: '1',
+  title: 'Test bank',
+  passMark: 75,
+  retries: 1,
+  questions: ['q1', 'q2', 'q3', 'q4'].map(question)
+};
+
+let window;
+let scene;
+let handle;
+let answers;
+let events;
+let hooks;
+let narrator;
+
+const setupQuiz = (bank = BANK, options = {}) => {
+  scene = window.document.getElementById('scene2');
+  handle = fakeHandle();
+  answers = [];
+  events = [];
+  const lms = { ...LmsReporter.createNoopReporter(), recordAnswer: (answer) => answers.push(answer) };
+  const analytics = Analytics.create({ sinks: [{ send: (event) => events.push(event) }] });
+  narrator = recordingNarrator();
+  hooks = QuizScene.setup({ bankLoad: Promise.resolve({ bank }), lms, analytics, narrator, ...options })(scene, handle);
+};
+
+// Show the scene as the deck does.
+const show = async (state) => {
+  hooks.reset();
+  if (state !== undefined) hooks.restore(state);
+  hooks.enter();
+  await settle();
+};
+
+beforeEach(async () => {
+  window = await loadPage();
+  setupQuiz();
+  await show();
+});
+
+afterEach(() => {
+  hooks.exit();
+  window.close();
+});
+
+const $ = (selector) => scene.querySelector(selector);
+// Id of the question on the card, from its scenario text.
+const currentQuestion = () => $('.scenario-text').textContent.replace('Scenario ', '');
+
+// Flip the card, pick the right or wrong choice and move on.
+const answer = (correct) => {
+  const id = currentQuestion();
+  $('#quiz-card').click();
+  $(`.choice[data-correct="${correct}"]`).click();
+  $('.quiz-next button').click();
+  return id;
+};
+
+test('shows the first card face down on entering', () => {
+  assert.ok(BANK.questions.some(({ id }) => id === currentQuestion()));
+  assert.equal($('#quiz-card').classList.contains('flipped'), false);
+  assert.equal($('#scoreboard').style.display, 'none');
+});
+
+test('scores each answer and reports it to the LMS', () => {
+  $('#quiz-card').click();
+  $('.choice[data-correct="false"]').click();
+  assert.ok($('#quiz-card').classList.contains('wrong'));
+  assert.ok($('.choice[data-correct="true"]').classList.contains('correct'));
+  assert.match($('.explanation').textContent, /^No, /);
+  assert.deepEqual(answers.map((entry) => entry.correct), [false]);
+  const chosen = events.find((event) => event.type === 'choice_selected');
+  assert.equal(chosen.correct, false);
+  assert.equal(chosen.question, currentQuestion());
+  // A card that has been answered counts as done in saved progress.
+  assert.equal(hooks.snapshot().currentIndex, 1);
+  assert.equal(hooks.snapshot().score, 0);
+});
+
+test('reads each card out and plays the sound of each answer', () => {
+  const first = currentQuestion();
+  assert.deepEqual(narrator.calls, [['say', `Scenario ${first}`, `audio/${first}.mp3`]]);
+  $('#quiz-card').click();
+  $('.choice[data-correct="false"]').click();
+  assert.deepEqual(narrator.calls.slice(1), [['cue', 'error'], ['say', `No, ${first}.`, null]]);
+  $('.quiz-next button').click();
+  const second = currentQuestion();
+  $('#quiz-card').click();
+  $('.choice[data-correct="true"]').click();
+  assert.deepEqual(narrator.calls.slice(3), [
+    ['say', `Scenario ${second}`, `audio/${second}.mp3`],
+    ['cue', 'success'],
+    ['say', `Yes, ${second}.`, `audio/${second}-yes.mp3`]
+  ]);
+  hooks.exit();
+  assert.deepEqual(narrator.calls.at(-1), ['stop']);
+});
+
+test('a perfect round passes and completes the scene', () => {
+  for (let i = 0; i < 4; i++) answer(true);
+  assert.equal($('#scoreboard').style.display, 'flex');
+  assert.equal($('.score-verdict').textContent, I18n.t('quiz.passed'));
+  assert.equal($('.score-text').textContent, I18n.t('quiz.score', { score: 4, total: 4 }));
+  assert.equal($('.retry-missed-btn').hidden, true);
+  assert.equal(handle.completed, 1);
+  assert.deepEqual(hooks.snapshot().result, { score: 4, max: 4 });
+  assert.equal(answers.length, 4);
+  const done = events.find((event) => event.type === 'quiz_complete');
+  assert.equal(done.passed, true);
+  assert.equal(done.final, true);
+});
+
+test('a learner below the pass mark retries only the questions they missed', () => {
+  const missed = [answer(false), answer(false), answer(true), answer(true)].slice(0, 2);
+  assert.equal($('.score-verdict').textContent, I18n.t('quiz.notPassed'));
+  assert.equal($('.retry-missed-btn').hidden, false);
+  assert.equal(handle.completed, 0);
+
+  $('.retry-missed-btn').click();
+  assert.equal($('#scoreboard').style.display, 'none');
+  assert.deepEqual(hooks.snapshot().round.slice().sort(), missed.slice().sort());
+  const asked = [answer(true), answer(true)];
+  assert.deepEqual(asked.sort(), missed.sort());
+  assert.equal($('.score-verdict').textContent, I18n.t('quiz.passed'));
+  assert.equal($('.score-text').textContent, I18n.t('quiz.score', { score: 4, total: 4 }));
+  assert.equal(handle.completed, 1);
+  assert.equal(events.filter((event) => event.type === 'retry_clicked').length, 1);
+});
+
+test('the scene completes once no retries are left', () => {
+  for (let i = 0; i < 4; i++) answer(false);
+  assert.equal(handle.completed, 0);
+  $('.retry-missed-btn').click();
+  for (let i = 0; i < 4; i++) answer(false);
+  assert.equal($('.score-verdict').textContent, I18n.t('quiz.notPassed'));
+  assert.equal($('.score-note').textContent, I18n.t('quiz.noRetries', { passMark: 75 }));
+  assert.equal($('.retry-missed-btn').hidden, true);
+  assert.equal(handle.completed, 1);
+  assert.deepEqual(hooks.snapshot().result, { score: 0, max: 4 });
+});
+
+test('saved progress resumes on the same card', async () => {
+  answer(true);
+  const saved = hooks.snapshot();
+  const next = currentQuestion();
+  hooks.exit();
+  window.close();
+
+  window = await loadPage();
+  setupQuiz();
+  await show(saved);
+  assert.equal(currentQuestion(), next);
+  assert.equal(hooks.snapshot().score, 1);
+  assert.equal(hooks.snapshot().seed, saved.seed);
+});
+
+test('saved progress after the last answer finishes the round on resume', async () => {
+  for (let i = 0; i < 3; i++) answer(true);
+  $('#quiz-card').click();
+  $('.choice[data-correct="true"]').click();
+  // Saved before Finish is pressed.
+  const saved = hooks.snapshot();
+  hooks.exit();
+  window.close();
+
+  window = await loadPage();
+  setupQuiz();
+  await show(saved);
+  assert.equal($('#scoreboard').style.display, 'flex');
+  assert.equal($('.score-verdict').textContent, I18n.t('quiz.passed'));
+  assert.equal(handle.completed, 1);
+  const done = events.filter((event) => event.type === 'quiz_complete');
+  assert.equal(done.length, 1);
+  assert.equal(done[0].final, true);
+
+  // Once reported, resuming again shows the scoreboard without
+  // reporting the round a second time.
+  const finished = hooks.snapshot();
+  hooks.exit();
+  window.close();
+  window = await loadPage();
+  setupQuiz();
+  await show(finished);
+  assert.equal($('#scoreboard').style.display, 'flex');
+  assert.equal(events.filter((event) => event.type === 'quiz_complete').length, 0);
+});
+
+test('restoring an empty state, as deck.restart() does, starts afresh', async () => {
+  for (let i = 0; i < 4; i++) answer(true);
+  hooks.exit();
+  await show({});
+  const state = hooks.snapshot();
+  assert.equal(state.currentIndex, 0);
+  assert.equal(state.score, 0);
+  assert.equal(state.round, null);
+  assert.deepEqual(state.missed, []);
+  assert.equal(state.result.score, 0);
+  assert.equal($('#scoreboard').style.display, 'none');
+  assert.equal($('#quiz-card').classList.contains('flipped'), false);
+});
+
+// The same bank with a follow‑up: a wrong answer to q1 leads to q1b,
+// whose wrong answer leads on to q1c.
+const BRANCHING = {
+  ...BANK,
+  questions: [
+    ...BANK.questions.map((entry) => (entry.id === 'q1'
+      ? { ...entry, choices: entry.choices.map((choice) => (choice.correct ? choice : { ...choice, next: 'q1b' })) }
+      : entry)),
+    { ...question('q1b'), choices: question('q1b').choices.map((choice) => (choice.correct ? choice : { ...choice, next: 'q1c' })) },
+    question('q1c')
+  ]
+};
+
+// Answer every drawn question correctly except q1, going down its
+// branch with `answers` for q1, q1b and so on.
+const answerBranching = (answers) => {
+  const asked = [];
+  const remaining = [...answers];
+  while ($('#scoreboard').style.display !== 'flex') {
+    const id = currentQuestion();
+    asked.push(answer(id.startsWith('q1') ? remaining.shift() : true));
+  }
+  return asked;
+};
+
+describe('a bank with follow‑ups', () => {
+  // Swap the page opened above for one quizzing on BRANCHING.
+  beforeEach(async () => {
+    hooks.exit();
+    window.close();
+    window = await loadPage();
+    setupQuiz(BRANCHING);
+    await show();
+  });
+
+  test('follow‑ups are asked after the answer that leads to them', () => {
+    const asked = answerBranching([false, false, true]);
+    assert.deepEqual(asked.filter((id) => id.startsWith('q1')), ['q1', 'q1b', 'q1c']);
+    assert.equal(asked.indexOf('q1b'), asked.indexOf('q1') + 1);
+    assert.equal(asked.length, 6);
+    // Follow‑ups count as questions: 4 of 6 right is below 75%.
+    assert.equal($('.score-text').textContent, I18n.t('quiz.score', { score: 4, total: 6 }));
+    assert.equal($('.score-path').hidden, false);
+    const steps = [...scene.querySelectorAll('.score-path-step')];
+    assert.equal(steps.length, 6);
+    assert.equal(steps.filter((step) => step.classList.contains('follow-up')).length, 2);
+    assert.ok(steps.some((step) => step.textContent.includes(I18n.t('quiz.pathWrong', { choice: 'Wrong q1b' }))));
+  });
+
+  test('a right answer skips the follow‑up', () => {
+    const asked = answerBranching([true]);
+    assert.deepEqual(asked.slice().sort(), ['q1', 'q2', 'q3', 'q4']);
+    assert.equal(handle.completed, 1);
+  });
+
+  test('a retry asks the missed follow‑ups on their own', () => {
+    answerBranching([false, false, true]);
+    $('.retry-missed-btn').click();
+    assert.deepEqual(hooks.snapshot().round, ['q1', 'q1b']);
+    const asked = [answer(true), answer(true)];
+    assert.deepEqual(asked, ['q1', 'q1b']);
+    assert.equal($('.score-text').textContent, I18n.t('quiz.score', { score: 6, total: 6 }));
+    assert.equal(scene.querySelectorAll('.score-path-round').length, 1);
+    assert.equal(handle.completed, 1);
+  });
+
+  test('saved progress resumes on a follow‑up', async () => {
+    while (currentQuestion() !== 'q1') answer(true);
+    answer(false);
+    assert.equal(currentQuestion(), 'q1b');
+    const saved = hooks.snapshot();
+    assert.equal(saved.card, 'q1b');
+    hooks.exit();
+    window.close();
+
+    window = await loadPage();
+    setupQuiz(BRANCHING);
+    await show(saved);
+    assert.equal(currentQuestion(), 'q1b');
+    assert.deepEqual(hooks.snapshot().path, saved.path);
+  });
+
+  test('the editor preview follows the links of the bank being edited', () => {
+    // q1 now leads to q9, which only the editor's copy has.
+    const edited = {
+      ...BRANCHING,
+      questions: [
+        { ...question('q1'), choices: question('q1').choices.map((choice) => (choice.correct ? choice : { ...choice, next: 'q9' })) },
+        question('q9')
+      ]
+    };
+    hooks.preview(edited.questions[0], { bank: edited });
+    answer(false);
+    assert.equal(currentQuestion(), 'q9');
+  });
+});
+
+describe('the timed challenge', () => {
+  let clock;
+
+  // Swap the page opened above for a timed quiz on a clock driven by
+  // the test.
+  beforeEach(async () => {
+    hooks.exit();
+    window.close();
+    window = await loadPage();
+    clock = manualClock();
+    setupQuiz(BANK, { timed: true });
+    await show();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  test('a fast right answer earns a speed bonus', () => {
+    assert.equal($('.quiz-timer-count').textContent, String(QuizScene.TIMED_SECONDS));
+    // A fifth of the time used leaves four fifths of the bonus.
+    clock.advance(QuizScene.TIMED_SECONDS * 200);
+    answer(true);
+    assert.equal(hooks.snapshot().bonus, QuizScene.TIMED_BONUS * 0.8);
+    for (let i = 0; i < 3; i++) answer(true);
+    const bonus = QuizScene.TIMED_BONUS * 0.8 + QuizScene.TIMED_BONUS * 3;
+    assert.equal(hooks.snapshot().bonus, bonus);
+    const done = events.find((event) => event.type === 'quiz_complete');
+    assert.deepEqual([done.bonus, done.timeouts, done.points], [bonus, 0, 4 * QuizScene.POINTS_PER_ANSWER + bonus]);
+    assert.ok([...scene.querySelectorAll('.score-breakdown li')]
+      .some((item) => item.textContent === I18n.t('quiz.breakdownBonus', { bonus })));
+  });
+
+  test('running out of time turns the card over as a wrong answer', () => {
+    const id = currentQuestion();
+    clock.advance((QuizScene.TIMED_SECONDS - 5) * 1000);
+    assert.equal($('.quiz-timer-count').textContent, '5');
+    assert.ok($('.quiz-timer').classList.contains('low'));
+    assert.deepEqual(answers, []);
+
+    clock.advance(5000);
+    assert.equal(clock.pending, 0);
+    assert.ok($('#quiz-card').classList.contains('flipped'));
+    assert.ok($('#quiz-card').classList.contains('wrong'));
+    assert.ok($('.choice[data-correct="true"]').classList.contains('correct'));
+    assert.ok([...scene.querySelectorAll('.choice')].every((choice) => choice.disabled));
+    assert.deepEqual(answers, [{ id, response: '', correctResponse: `Right ${id}`, correct: false }]);
+    assert.equal(events.find((event) => event.type === 'choice_selected').timedOut, true);
+    assert.deepEqual([hooks.snapshot().timeouts, hooks.snapshot().bonus], [1, 0]);
+  });
+
+  test('leaving the scene stops the countdown', () => {
+    assert.equal(clock.pending, 1);
+    hooks.exit();
+    assert.equal(clock.pending, 0);
+    clock.advance(QuizScene.TIMED_SECONDS * 1000);
+    assert.deepEqual(answers, []);
+    assert.equal($('#quiz-card').classList.contains('wrong'), false);
+  });
+});
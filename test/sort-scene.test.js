@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, instantAnimator, fakeHandle } = require('./helpers');
+
+let window;
+let exercise;
+let scene;
+let handle;
+let answers;
+let hooks;
+
+// Wire scene 4 to the shipped exercise and show it as the deck does.
+const setupSort = (state) => {
+  scene = window.document.getElementById('scene4');
+  handle = fakeHandle();
+  answers = [];
+  hooks = SortScene.setup(exercise, {
+    onAnswer: (item, bucket, correct) => answers.push({ item: item.id, bucket: bucket.id, correct }),
+    courseScore: () => ({ score: 7, max: 12 }),
+    animator: instantAnimator()
+  })(scene, handle);
+  hooks.reset();
+  if (state !== undefined) hooks.restore(state);
+  hooks.enter();
+};
+
+beforeEach(async () => {
+  window = await loadPage();
+  exercise = SortScene.find(await SortScene.load(), 'safe-or-breach');
+  setupSort();
+});
+
+afterEach(() => {
+  hooks.exit();
+  window.close();
+});
+
+const $ = (selector) => scene.querySelector(selector);
+const card = (id) => $(`.sort-card[data-item="${id}"]`);
+const bucketOf = (id) => exercise.items.find((item) => item.id === id).bucket;
+const wrongBucketOf = (id) => exercise.buckets.find((bucket) => bucket.id !== bucketOf(id)).id;
+
+// Pick a card up with a click and drop it in a bucket, the keyboard
+// route.
+const sort = (id, bucketId) => {
+  card(id).click();
+  $(`.sort-bucket[data-bucket="${bucketId}"] .sort-bucket-target`).click();
+};
+
+test('a card dropped in the right bucket stays there', () => {
+  const [first] = exercise.items;
+  sort(first.id, first.bucket);
+  assert.equal(card(first.id).closest('.sort-bucket').dataset.bucket, first.bucket);
+  assert.equal(card(first.id).disabled, true);
+  assert.equal($('.sort-feedback').dataset.tone, 'right');
+  assert.deepEqual(answers, [{ item: first.id, bucket: first.bucket, correct: true }]);
+  assert.equal(handle.changes, 1);
+});
+
+test('a card dropped in the wrong bucket goes back to the tray and no longer scores', () => {
+  const [first] = exercise.items;
+  sort(first.id, wrongBucketOf(first.id));
+  assert.ok(card(first.id).closest('.sort-tray'));
+  assert.equal($('.sort-feedback').dataset.tone, 'wrong');
+  sort(first.id, first.bucket);
+  // Only the first drop is reported.
+  assert.deepEqual(answers, [{ item: first.id, bucket: wrongBucketOf(first.id), correct: false }]);
+  assert.deepEqual(hooks.snapshot().missed, [first.id]);
+});
+
+test('sorting the last card shows the scoreboard and completes the scene', () => {
+  const [first, ...rest] = exercise.items;
+  sort(first.id, wrongBucketOf(first.id));
+  [first, ...rest].forEach((item) => sort(item.id, item.bucket));
+  const max = exercise.items.length;
+  assert.equal($('.scoreboard-overlay').style.display, 'flex');
+  assert.equal($('.score-text').textContent, I18n.t('sort.score', { score: max - 1, max }));
+  assert.equal($('.score-course').textContent, I18n.t('course.score', { score: 7, max: 12 }));
+  assert.equal(handle.completed, 1);
+  assert.deepEqual(hooks.snapshot().result, { score: max - 1, max });
+});
+
+test('saved progress does not report the first drops again', () => {
+  const [first, second] = exercise.items;
+  sort(first.id, first.bucket);
+  sort(second.id, wrongBucketOf(second.id));
+  const saved = hooks.snapshot();
+  assert.deepEqual(saved.answered, [first.id, second.id]);
+  hooks.exit();
+
+  setupSort(saved);
+  assert.ok(card(first.id).classList.contains('placed'));
+  sort(second.id, second.bucket);
+  assert.deepEqual(answers, []);
+  assert.deepEqual(hooks.snapshot().answered, [first.id, second.id]);
+});
+
+test('sorting again starts every card afresh and reports it once more', () => {
+  exercise.items.forEach((item) => sort(item.id, item.bucket));
+  $('.scoreboard-overlay .restart-btn').click();
+  assert.equal(scene.querySelectorAll('.sort-tray .sort-card').length, exercise.items.length);
+  answers.length = 0;
+  const [first] = exercise.items;
+  sort(first.id, first.bucket);
+  assert.deepEqual(answers, [{ item: first.id, bucket: first.bucket, correct: true }]);
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadPage } = require('./helpers');
+
+let window;
+
+beforeEach(async () => {
+  window = await loadPage();
+});
+
+afterEach(() => {
+  window.close();
+});
+
+test('the shipped theme describes the default look', async () => {
+  const theme = await Theme.load('kitopi');
+  assert.equal(theme.logo, 'Kitopi-small-icon-01.svg');
+  assert.deepEqual(Object.keys(theme.colours), Theme.COLOURS);
+});
+
+test('the shipped theme matches the defaults in style.css, which only colours through the tokens', () => {
+  const css = fs.readFileSync(path.join(ROOT, 'style.css'), 'utf8');
+  const kitopi = JSON.parse(fs.readFileSync(path.join(ROOT, Theme.DIRECTORY, 'kitopi.json'), 'utf8'));
+  const [, defaults] = /:root\s*\{([^}]*)\}/.exec(css);
+  Theme.COLOURS.forEach((name) => {
+    const declared = new RegExp(`--color-${name}:\\s*([^;]+);`).exec(defaults);
+    assert.ok(declared, `style.css declares --color-${name}`);
+    assert.equal(declared[1].trim().toLowerCase(), kitopi.colours[name].toLowerCase());
+    // Outside :root the colour is only ever used through its token.
+    assert.equal(css.replace(defaults, '').toLowerCase().includes(kitopi.colours[name].toLowerCase()), false, name);
+  });
+});
+
+test('only plain names are taken from the URL', () => {
+  assert.equal(Theme.resolveName('?theme=harbour'), 'harbour');
+  assert.equal(Theme.resolveName('?scene2'), null);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(Theme.resolveName('?theme=../questions'), null);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('every problem in a theme is reported', () => {
+  assert.deepEqual(Theme.validate({
+    logo: '',
+    colours: { primary: '#14365D', brand: '#F2B134', accent: '' },
+    fonts: 'Inter',
+    confetti: []
+  }), [
+    '"logo" must be a non‑empty string.',
+    '"colours" has the unknown entry "brand" (expected one of primary, secondary, accent, light, dark, success, error, overlay, quiz-correct, quiz-wrong, quiz-neutral, notification, monitor-foot-end).',
+    '"colours.accent" must be a non‑empty string.',
+    '"fonts" must be an object.',
+    '"confetti" must be a list of one or more colours.'
+  ]);
+  assert.deepEqual(Theme.validate({}), []);
+});
+
+test('a missing theme is a ThemeError', async () => {
+  await assert.rejects(Theme.load('missing'), (err) => (
+    err instanceof Theme.ThemeError && err.problems[0] === 'The server responded with 404.'
+  ));
+});
+
+test('applying a theme sets the custom properties and the logos', () => {
+  const { document } = window;
+  Theme.apply({
+    name: 'Harbour Foods',
+    logo: 'themes/harbour/logo.svg',
+    colours: { primary: '#14365D' },
+    fonts: { body: 'Inter, sans-serif' },
+    background: 'themes/harbour/quiz background.jpg'
+  });
+  const root = document.documentElement.style;
+  assert.equal(root.getPropertyValue('--color-primary'), '#14365D');
+  assert.equal(root.getPropertyValue('--font-body'), 'Inter, sans-serif');
+  assert.equal(root.getPropertyValue('--quiz-background'), 'url("themes/harbour/quiz background.jpg")');
+  // The monitor card's logo is still in its template; the kiosk's is
+  // decorative and keeps its empty alt text.
+  const template = document.getElementById('monitor-scene-template').content;
+  assert.equal(template.querySelector('.brand-logo').getAttribute('src'), 'themes/harbour/logo.svg');
+  assert.equal(template.querySelector('.brand-logo').alt, 'Harbour Foods');
+  assert.equal(document.querySelector('.kiosk-logo').getAttribute('src'), 'themes/harbour/logo.svg');
+  assert.equal(document.querySelector('.kiosk-logo').alt, '');
+});
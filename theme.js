@@ -0,0 +1,173 @@
+/*
+ * Themes for running the deck under other brands and on other sites.
+ * The Kitopi look lives in `style.css` as CSS custom properties; a
+ * theme is a JSON file in `themes/` that overrides any of them, picked
+ * with `?theme=<name>` (`?theme=harbour` loads `themes/harbour.json`).
+ * Without the parameter, or when the file cannot be used, the deck
+ * keeps its own look.
+ *
+ * Every entry is optional; anything left out keeps the default:
+ *
+ *   {
+ *     "name": "Harbour Foods",
+ *     "logo": "themes/harbour/logo.svg",
+ *     "logoAlt": "Harbour Foods",
+ *     "colours": { "primary": "#14365D", "accent": "#F2B134" },
+ *     "fonts": { "body": "Inter, Arial, sans-serif" },
+ *     "background": "themes/harbour/quiz-background.jpg",
+ *     "confetti": ["#F2B134", "#5BC0EB"]
+ *   }
+ *
+ * `colours` are the `--color-*` tokens at the top of style.css, named
+ * without the prefix; `fonts` are `body` and `rtl`, the latter used
+ * for right‑to‑left languages; `background` is the image behind the
+ * scene 2 quiz.  Paths are relative to `index.html`.  The logo,
+ * colours and fonts also go on the certificate (see certificate.js),
+ * and the confetti colours to the quiz scoreboard.
+ *
+ * `themes/kitopi.json` spells out the default look and is a starting
+ * point for new themes.  Like the other content files, a theme is
+ * validated as soon as it is fetched and every problem is collected
+ * into a `ThemeError`.
+ */
+const Theme = (() => {
+  const DIRECTORY = 'themes';
+  const COLOURS = [
+    'primary',
+    'secondary',
+    'accent',
+    'light',
+    'dark',
+    'success',
+    'error',
+    'overlay',
+    'quiz-correct',
+    'quiz-wrong',
+    'quiz-neutral',
+    'notification',
+    'monitor-foot-end'
+  ];
+  const FONTS = ['body', 'rtl'];
+
+  // Error raised when a theme cannot be fetched, parsed or validated.
+  // `problems` lists every individual issue found.
+  class ThemeError extends Error {
+    constructor(message, problems = []) {
+      super(message);
+      this.name = 'ThemeError';
+      this.problems = problems;
+    }
+  }
+
+  const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+  const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  // The theme named in the URL, or null for the default look.  Names
+  // are limited to letters, digits, dashes and underscores so a link
+  // can only pick a file from `themes/`.
+  const resolveName = (search = window.location.search) => {
+    const param = new URLSearchParams(search).get('theme');
+    if (!isNonEmptyString(param)) return null;
+    const name = param.trim();
+    if (!/^[\w-]+$/.test(name)) {
+      console.warn(`Ignoring the theme "${name}": names may only use letters, digits, "-" and "_".`);
+      return null;
+    }
+    return name;
+  };
+
+  // Check a group of named entries, such as the colours, against the
+  // names allowed.
+  const validateTokens = (group, label, allowed, problems) => {
+    if (group === undefined) return;
+    if (!isPlainObject(group)) {
+      problems.push(`"${label}" must be an object.`);
+      return;
+    }
+    Object.entries(group).forEach(([name, value]) => {
+      if (!allowed.includes(name)) {
+        problems.push(`"${label}" has the unknown entry "${name}" (expected one of ${allowed.join(', ')}).`);
+      } else if (!isNonEmptyString(value)) {
+        problems.push(`"${label}.${name}" must be a non‑empty string.`);
+      }
+    });
+  };
+
+  // Check the structure of a parsed theme.  Returns an array of
+  // human‑readable problems; an empty array means the theme is valid.
+  const validate = (theme) => {
+    const problems = [];
+    if (!isPlainObject(theme)) {
+      problems.push('The file must contain an object.');
+      return problems;
+    }
+    ['name', 'logo', 'logoAlt', 'background'].forEach((key) => {
+      if (theme[key] !== undefined && !isNonEmptyString(theme[key])) {
+        problems.push(`"${key}" must be a non‑empty string.`);
+      }
+    });
+    validateTokens(theme.colours, 'colours', COLOURS, problems);
+    validateTokens(theme.fonts, 'fonts', FONTS, problems);
+    if (theme.confetti !== undefined && (
+      !Array.isArray(theme.confetti) || !theme.confetti.length || !theme.confetti.every(isNonEmptyString)
+    )) {
+      problems.push('"confetti" must be a list of one or more colours.');
+    }
+    return problems;
+  };
+
+  // Fetch, parse and validate `themes/<name>.json`.  Resolves with the
+  // theme; rejects with a ThemeError.
+  const load = async (name) => {
+    const { content } = await ContentLoader.load(`${DIRECTORY}/${name}.json`, {
+      what: 'the theme',
+      validate,
+      ContentError: ThemeError
+    });
+    return content;
+  };
+
+  // Apply a theme to the page: its colours, fonts and background as
+  // custom properties on the root element, and its logo on every
+  // `.brand-logo` image, including those in templates that scenes have
+  // yet to copy.  Decorative logos (empty alt text) stay decorative.
+  const apply = (theme, doc = document) => {
+    const root = doc.documentElement;
+    Object.entries(theme.colours || {}).forEach(([name, value]) => {
+      root.style.setProperty(`--color-${name}`, value);
+    });
+    Object.entries(theme.fonts || {}).forEach(([name, value]) => {
+      root.style.setProperty(`--font-${name}`, value);
+    });
+    if (theme.background) {
+      root.style.setProperty('--quiz-background', `url(${JSON.stringify(theme.background)})`);
+    }
+    if (theme.logo) {
+      const images = [
+        ...doc.querySelectorAll('img.brand-logo'),
+        ...[...doc.querySelectorAll('template')].flatMap((template) => [...template.content.querySelectorAll('img.brand-logo')])
+      ];
+      images.forEach((image) => {
+        image.src = theme.logo;
+        if (image.alt) {
+          image.alt = theme.logoAlt || theme.name || image.alt;
+        }
+      });
+    }
+  };
+
+  return {
+    DIRECTORY,
+    COLOURS,
+    FONTS,
+    ThemeError,
+    resolveName,
+    validate,
+    load,
+    apply
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Theme;
+}